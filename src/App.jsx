@@ -1,15 +1,19 @@
-import React, { useState, useCallback, useEffect } from 'react';
+import React, { useState, useCallback, useEffect, useMemo } from 'react';
 import { useDropzone } from 'react-dropzone';
-import { UploadCloud, ChevronsRight, Download, RotateCcw, Settings, X, AlertCircle, Loader, HardDriveDownload, Copy, Check, HelpCircle, Bug, ShieldCheck, Megaphone } from 'lucide-react';
+import { UploadCloud, ChevronsRight, Download, RotateCcw, RotateCw, FlipHorizontal, FlipVertical, Settings, X, AlertCircle, Loader, HardDriveDownload, Copy, Check, HelpCircle, Bug, ShieldCheck, Megaphone, Crop, GripVertical, ArrowUpDown, Plus, Trash2, RefreshCw, Pause, Play, Folder, EyeOff, Undo2 } from 'lucide-react';
 
 import { initializeApp } from "firebase/app";
 import { getFirestore, collection, addDoc, serverTimestamp } from "firebase/firestore";
 
+import { DEFAULT_PADDING_COLOR, MIN_SEARCH_QUALITY_PERCENT, createCanvas, decodeImage, createTransformedCanvas, createPointMapper, calculateFitRect, canvasToBlob, hasAdjustments } from './imagePipeline.js';
+import { createImageWorkerPool } from './imageWorkerPool.js';
+import { createZipWriter, createBlobSink, createFileSink } from './zipWriter.js';
+import { readIccProfile, parseIccProfile, getSrgbIccSegment } from './colorManagement.js';
+
 // === CDN & ライブラリの定義 ===
 
 // 外部ライブラリのCDN URL
 const HEIC_CDN_URL = 'https://cdn.jsdelivr.net/npm/heic2any@0.0.4/dist/heic2any.min.js';
-const JSZIP_CDN = 'https://cdnjs.cloudflare.com/ajax/libs/jszip/3.10.1/jszip.min.js';
 const FILESAVER_CDN = 'https://cdnjs.cloudflare.com/ajax/libs/FileSaver.js/2.0.5/FileSaver.min.js';
 
 const firebaseConfig = {
@@ -29,10 +33,163 @@ const db = getFirestore(app);
 
 // === 定数とヘルパー関数 ===
 
-// 設計書で定義されたリサイズ後の固定サイズ
+// 設計書で定義されたリサイズ後の標準サイズ
 const RESIZE_WIDTH = 600;
 const RESIZE_HEIGHT = 400;
 
+// 出力サイズの上限（px）
+const MAX_OUTPUT_DIMENSION = 8000;
+
+// 出力サイズのプロファイル（industryCodesに含まれる業種を選ぶと自動で選択される）
+const SIZE_PROFILES = [
+  { id: 'standard', name: '標準', width: RESIZE_WIDTH, height: RESIZE_HEIGHT, industryCodes: [] },
+  { id: 'hotel', name: 'ホテル', width: 1200, height: 800, industryCodes: ['htl'] },
+  { id: 'square', name: 'スクエア', width: 800, height: 800, industryCodes: ['sal'] },
+];
+const DEFAULT_SIZE_PROFILE_ID = 'standard';
+const CUSTOM_SIZE_PROFILE_ID = 'custom';
+
+// 出力サイズへの合わせ方
+const FIT_MODES = [
+  { id: 'contain', name: '全体を表示（余白を追加）' },
+  { id: 'cover', name: '枠いっぱいに表示（中央を切り抜き）' },
+  { id: 'stretch', name: '引き伸ばし（縦横比を無視）' },
+  { id: 'shrink', name: '縮小のみ（拡大しない）' },
+];
+const DEFAULT_FIT_MODE = 'contain';
+
+// 余白の塗りつぶし方法
+const PADDING_FILLS = [
+  { id: 'color', name: '単色' },
+  { id: 'blur', name: '写真をぼかして敷く' },
+  { id: 'dominant', name: '写真の端の色' },
+  { id: 'transparent', name: '透明' },
+];
+const DEFAULT_PADDING_FILL = 'color';
+
+// ファイルサイズ上限の指定時によく使う上限値（KB）
+const FILE_SIZE_LIMIT_PRESETS_KB = [200, 500, 1000];
+
+// ファイル名・フォルダ名に使用できない文字
+const INVALID_FILENAME_CHARS = /[\\/:*?"<>|]/;
+
+// ファイル名テンプレート
+const DEFAULT_FILENAME_TEMPLATE = '{industry}_{id}_{date}_{seq:2}';
+const FILENAME_TEMPLATE_TOKENS = [
+  { token: '{industry}', description: '業種コード' },
+  { token: '{id}', description: '入稿ID' },
+  { token: '{date}', description: '日付（YYYYMMDD）' },
+  { token: '{date:YYYY-MM-DD}', description: '日付（書式指定）' },
+  { token: '{seq:3}', description: '連番（桁数指定）' },
+  { token: '{original}', description: '元のファイル名' },
+  { token: '{width}x{height}', description: '出力サイズ' },
+];
+
+// フォルダごとにグループ分けしたときのZIPの出力方法
+const FOLDER_GROUP_OUTPUTS = [
+  { id: 'subfolders', name: '1つのZIPにフォルダごとに格納' },
+  { id: 'separate', name: 'フォルダごとに別のZIPにする' },
+];
+const DEFAULT_FOLDER_GROUP_OUTPUT = 'subfolders';
+
+// ファイル名の日付の基準
+const DATE_SOURCES = [
+  { id: 'manual', name: '入力した日付（作業日）' },
+  { id: 'capture', name: '撮影日（EXIF）' },
+];
+const DEFAULT_DATE_SOURCE = 'manual';
+
+// 出力する画像のメタデータ（EXIF）の扱い
+// 位置情報の流出を防ぐため、既定ではすべて削除する
+const METADATA_MODES = [
+  { id: 'strip', name: 'すべて削除する' },
+  { id: 'keep', name: '選択した項目のみ残す' },
+];
+const DEFAULT_METADATA_MODE = 'strip';
+// 残せる項目（位置情報は選択肢に含めず、常に削除する）
+const KEPT_METADATA_FIELDS = [
+  { id: 'copyright', name: '著作権' },
+  { id: 'artist', name: '撮影者' },
+  { id: 'dateTimeOriginal', name: '撮影日時' },
+  { id: 'camera', name: 'カメラ' },
+];
+const DEFAULT_KEPT_METADATA_FIELDS = ['copyright'];
+
+// 縮小の方式（高画質の方式は画素を直接計算するため、どのブラウザでも同じ結果になる）
+// 既定はこれまでと同じ仕上がり・処理時間になるブラウザの縮小処理とし、高画質の方式は選んだ場合のみ使う
+const RESAMPLING_METHODS = [
+  { id: 'fast', name: '標準（ブラウザの縮小処理）' },
+  { id: 'lanczos3', name: '高画質（Lanczos3）' },
+  { id: 'mitchell', name: '高画質・なめらか（Mitchell）' },
+];
+const DEFAULT_RESAMPLING_METHOD = 'fast';
+
+// 自動トリミングで、縁の帯とみなす色の差の許容範囲（%）の初期値と上限
+const DEFAULT_AUTO_TRIM_TOLERANCE = 10;
+const MAX_AUTO_TRIM_TOLERANCE = 50;
+
+// 写真の補正のスライダー（0は補正なし）
+const ADJUSTMENT_SLIDERS = [
+  { key: 'brightness', name: '明るさ', min: -100, max: 100 },
+  { key: 'contrast', name: 'コントラスト', min: -100, max: 100 },
+  { key: 'saturation', name: '彩度', min: -100, max: 100 },
+  { key: 'temperature', name: '色温度（青み〜黄み）', min: -100, max: 100 },
+  { key: 'tint', name: '色かぶり（緑〜赤紫）', min: -100, max: 100 },
+  { key: 'sharpen', name: 'シャープ', min: 0, max: 100 },
+];
+
+// 透かし（ウォーターマーク）の種類・フォント・位置
+const WATERMARK_TYPES = [
+  { id: 'text', name: '文字' },
+  { id: 'logo', name: 'ロゴ画像（PNG）' },
+];
+// Workerではwebフォントを読み込めないため、端末に必ずある総称フォントから選ぶ
+const WATERMARK_FONTS = [
+  { id: 'sans-serif', name: 'ゴシック体' },
+  { id: 'serif', name: '明朝体' },
+  { id: 'monospace', name: '等幅' },
+];
+const WATERMARK_POSITIONS = [
+  { id: 'top-left', name: '左上' },
+  { id: 'top-right', name: '右上' },
+  { id: 'bottom-left', name: '左下' },
+  { id: 'bottom-right', name: '右下' },
+  { id: 'center', name: '中央' },
+  { id: 'tiled', name: '全体に敷き詰める' },
+];
+// 透かしのロゴ画像の容量の上限（プリセットとしてlocalStorageに保存するため）
+const MAX_WATERMARK_LOGO_BYTES = 1024 * 1024;
+
+// 個人情報を隠す範囲の指定方法と隠し方（colorは編集画面での表示色）
+const REDACTION_SHAPES = [
+  { id: 'rect', name: '四角形' },
+  { id: 'brush', name: 'ブラシ' },
+];
+const REDACTION_EFFECTS = [
+  { id: 'blur', name: 'ぼかし', color: 'rgba(59, 130, 246, 0.45)' },
+  { id: 'pixelate', name: 'モザイク', color: 'rgba(168, 85, 247, 0.45)' },
+  { id: 'fill', name: '塗りつぶし', color: 'rgba(0, 0, 0, 0.7)' },
+];
+// ブラシの太さ（画像の短辺に対する%）の初期値と上限
+const DEFAULT_REDACTION_BRUSH_SIZE = 5;
+const MAX_REDACTION_BRUSH_SIZE = 20;
+
+// 追加の出力サイズ（レンディション）のよく使う設定
+const RENDITION_PRESETS = [
+  { id: 'thumbnail', name: '一覧用サムネイル', width: 300, height: 200, fitMode: 'cover', quality: 8, suffix: '_thumb', folder: '' },
+  { id: 'retina', name: 'Retina (2x)', scale: 2, quality: 9, suffix: '@2x', folder: '' },
+];
+
+// 出力形式（対応状況は起動時にブラウザごとに判定する）
+const OUTPUT_FORMATS = [
+  { id: 'jpeg', name: 'JPEG', mimeType: 'image/jpeg', extension: 'jpg', supportsAlpha: false, isLossy: true },
+  { id: 'png', name: 'PNG', mimeType: 'image/png', extension: 'png', supportsAlpha: true, isLossy: false },
+  { id: 'webp', name: 'WebP', mimeType: 'image/webp', extension: 'webp', supportsAlpha: true, isLossy: true },
+  { id: 'avif', name: 'AVIF', mimeType: 'image/avif', extension: 'avif', supportsAlpha: true, isLossy: true },
+];
+const DEFAULT_OUTPUT_FORMAT = 'jpeg';
+const KEEP_ORIGINAL_FORMAT = 'original';
+
 // スプレッドシート連携に失敗した場合のフォールバック用初期データ
 const INITIAL_INDUSTRY_CODES = [
   { code: 'hos', name: '病院' },
@@ -75,63 +232,1377 @@ const useScript = (url) => {
     script.addEventListener('load', onLoad);
     script.addEventListener('error', onError);
 
-    return () => {
-      script.removeEventListener('load', onLoad);
-      script.removeEventListener('error', onError);
-    };
-  }, [url]);
+    return () => {
+      script.removeEventListener('load', onLoad);
+      script.removeEventListener('error', onError);
+    };
+  }, [url]);
+
+  return { isLoaded, error };
+};
+
+/**
+ * 画像を読み込む
+ * @param {string} imageUrl 画像のURL
+ * @returns {Promise<HTMLImageElement>} 読み込み済みの画像要素
+ */
+const loadImage = (imageUrl) => {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.crossOrigin = 'anonymous';
+    img.onload = () => resolve(img);
+    img.onerror = reject;
+    img.src = imageUrl;
+  });
+};
+
+// EXIFタグ番号
+const EXIF_TAG_MAKE = 0x010F;
+const EXIF_TAG_MODEL = 0x0110;
+const EXIF_TAG_ORIENTATION = 0x0112;
+const EXIF_TAG_DATE_TIME = 0x0132;
+const EXIF_TAG_ARTIST = 0x013B;
+const EXIF_TAG_COPYRIGHT = 0x8298;
+const EXIF_TAG_EXIF_IFD_POINTER = 0x8769;
+const EXIF_TAG_GPS_IFD_POINTER = 0x8825;
+const EXIF_TAG_DATE_TIME_ORIGINAL = 0x9003;
+// GPS IFDのタグ番号
+const GPS_TAG_LATITUDE_REF = 0x0001;
+const GPS_TAG_LATITUDE = 0x0002;
+const GPS_TAG_LONGITUDE_REF = 0x0003;
+const GPS_TAG_LONGITUDE = 0x0004;
+
+// TIFFのデータ型ごとのバイト数
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+/**
+ * TIFF形式のIFDエントリの値を読み取る
+ * @param {DataView} view データ
+ * @param {number} tiffStart TIFFヘッダーの開始位置
+ * @param {number} entryOffset エントリの開始位置
+ * @param {boolean} littleEndian リトルエンディアンかどうか
+ * @returns {string|number|number[]|null} タグの値
+ */
+const readTiffTagValue = (view, tiffStart, entryOffset, littleEndian) => {
+  const type = view.getUint16(entryOffset + 2, littleEndian);
+  const count = view.getUint32(entryOffset + 4, littleEndian);
+  const size = TIFF_TYPE_SIZES[type];
+  if (!size) return null;
+
+  // 4バイトに収まらない値は、別の位置へのオフセットが格納されている
+  const valueOffset = size * count > 4 ? tiffStart + view.getUint32(entryOffset + 8, littleEndian) : entryOffset + 8;
+  if (valueOffset + size * count > view.byteLength) return null;
+
+  if (type === 2) {
+    let text = '';
+    for (let i = 0; i < count; i++) {
+      const code = view.getUint8(valueOffset + i);
+      if (code === 0) break;
+      text += String.fromCharCode(code);
+    }
+    return text.trim();
+  }
+
+  const values = [];
+  for (let i = 0; i < count; i++) {
+    const pos = valueOffset + i * size;
+    switch (type) {
+      case 3: values.push(view.getUint16(pos, littleEndian)); break;
+      case 4: values.push(view.getUint32(pos, littleEndian)); break;
+      case 9: values.push(view.getInt32(pos, littleEndian)); break;
+      case 5: values.push(view.getUint32(pos, littleEndian) / (view.getUint32(pos + 4, littleEndian) || 1)); break;
+      case 10: values.push(view.getInt32(pos, littleEndian) / (view.getInt32(pos + 4, littleEndian) || 1)); break;
+      default: values.push(view.getUint8(pos));
+    }
+  }
+  return count === 1 ? values[0] : values;
+};
+
+/**
+ * TIFF形式のIFDに含まれるタグをすべて読み取る
+ * @param {DataView} view データ
+ * @param {number} tiffStart TIFFヘッダーの開始位置
+ * @param {number} ifdOffset TIFFヘッダーからのIFDのオフセット
+ * @param {boolean} littleEndian リトルエンディアンかどうか
+ * @returns {Object<number, any>} タグ番号をキーとした値
+ */
+const readTiffIfd = (view, tiffStart, ifdOffset, littleEndian) => {
+  const tags = {};
+  const base = tiffStart + ifdOffset;
+  if (base + 2 > view.byteLength) return tags;
+
+  const entryCount = view.getUint16(base, littleEndian);
+  for (let i = 0; i < entryCount; i++) {
+    const entryOffset = base + 2 + i * 12;
+    if (entryOffset + 12 > view.byteLength) break;
+    tags[view.getUint16(entryOffset, littleEndian)] = readTiffTagValue(view, tiffStart, entryOffset, littleEndian);
+  }
+  return tags;
+};
+
+/**
+ * TIFFヘッダーから始まるEXIFのデータから、IFD0・Exif IFD・GPS IFDのタグを読み取る
+ * @param {DataView} view データ
+ * @param {number} tiffStart TIFFヘッダーの開始位置
+ * @returns {Object<number, any>} タグ番号をキーとした値（GPS IFDのタグはgpsに格納する）
+ */
+const readExifFromTiff = (view, tiffStart) => {
+  if (tiffStart + 8 > view.byteLength) return {};
+  const littleEndian = view.getUint16(tiffStart) === 0x4949;
+  const tags = readTiffIfd(view, tiffStart, view.getUint32(tiffStart + 4, littleEndian), littleEndian);
+  // 撮影日時などはIFD0から参照されるExif IFDに、位置情報はGPS IFDに格納されている
+  const exifIfdOffset = tags[EXIF_TAG_EXIF_IFD_POINTER];
+  const gpsIfdOffset = tags[EXIF_TAG_GPS_IFD_POINTER];
+  return {
+    ...tags,
+    ...(typeof exifIfdOffset === 'number' ? readTiffIfd(view, tiffStart, exifIfdOffset, littleEndian) : {}),
+    gps: typeof gpsIfdOffset === 'number' ? readTiffIfd(view, tiffStart, gpsIfdOffset, littleEndian) : {},
+  };
+};
+
+/**
+ * ISOBMFFのボックスを順に列挙する
+ * @param {DataView} view データ
+ * @param {number} start 最初のボックスの位置
+ * @param {number} end 範囲の終わり
+ * @returns {{type: string, start: number, end: number}[]} ボックスの種類と、中身の開始位置・終わり
+ */
+const readIsoBoxes = (view, start, end) => {
+  const boxes = [];
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = view.getUint32(offset);
+    const type = String.fromCharCode(...new Uint8Array(view.buffer, view.byteOffset + offset + 4, 4));
+    let headerSize = 8;
+    if (size === 1) {
+      if (offset + 16 > end) break;
+      size = Number(view.getBigUint64(offset + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < headerSize) break;
+    boxes.push({ type, start: offset + headerSize, end: Math.min(end, offset + size) });
+    offset += size;
+  }
+  return boxes;
+};
+
+/**
+ * HEIC・HEIFファイルのEXIFの格納位置を探す
+ * metaボックスのiinfからExifのアイテムを、ilocからそのアイテムのファイル内の位置を読み取る
+ * @param {DataView} view ファイルの先頭部分
+ * @returns {{offset: number, length: number} | null} EXIFのアイテムの位置（見つからない場合はnull）
+ */
+const findHeifExifLocation = (view) => {
+  const meta = readIsoBoxes(view, 0, view.byteLength).find(box => box.type === 'meta');
+  if (!meta) return null;
+  // metaはフルボックスのため、バージョンとフラグの4バイトの後ろに子のボックスが並ぶ
+  const children = readIsoBoxes(view, meta.start + 4, meta.end);
+  const iinf = children.find(box => box.type === 'iinf');
+  const iloc = children.find(box => box.type === 'iloc');
+  if (!iinf || !iloc) return null;
+
+  const iinfVersion = view.getUint8(iinf.start);
+  const entriesStart = iinf.start + 4 + (iinfVersion === 0 ? 2 : 4);
+  const exifItem = readIsoBoxes(view, entriesStart, iinf.end).find(box => {
+    if (box.type !== 'infe' || view.getUint8(box.start) < 2) return false;
+    const itemTypeOffset = box.start + 4 + (view.getUint8(box.start) === 2 ? 2 : 4) + 2;
+    return itemTypeOffset + 4 <= box.end && view.getUint32(itemTypeOffset) === 0x45786966; // "Exif"
+  });
+  if (!exifItem) return null;
+  const exifItemId = view.getUint8(exifItem.start) === 2 ? view.getUint16(exifItem.start + 4) : view.getUint32(exifItem.start + 4);
+
+  const readUint = (offset, size) => {
+    if (size === 4) return view.getUint32(offset);
+    if (size === 8) return Number(view.getBigUint64(offset));
+    return 0;
+  };
+  const ilocVersion = view.getUint8(iloc.start);
+  const offsetSize = view.getUint8(iloc.start + 4) >> 4;
+  const lengthSize = view.getUint8(iloc.start + 4) & 0x0F;
+  const baseOffsetSize = view.getUint8(iloc.start + 5) >> 4;
+  const indexSize = ilocVersion === 1 || ilocVersion === 2 ? view.getUint8(iloc.start + 5) & 0x0F : 0;
+  let position = iloc.start + 6;
+  const itemCount = ilocVersion < 2 ? view.getUint16(position) : view.getUint32(position);
+  position += ilocVersion < 2 ? 2 : 4;
+  for (let i = 0; i < itemCount && position < iloc.end; i++) {
+    const itemId = ilocVersion < 2 ? view.getUint16(position) : view.getUint32(position);
+    position += ilocVersion < 2 ? 2 : 4;
+    // ファイル内に直接格納されたもの（construction_method=0）だけを扱う
+    const constructionMethod = ilocVersion === 1 || ilocVersion === 2 ? view.getUint16(position) & 0x0F : 0;
+    if (ilocVersion === 1 || ilocVersion === 2) position += 2;
+    position += 2; // data_reference_index
+    const baseOffset = readUint(position, baseOffsetSize);
+    position += baseOffsetSize;
+    const extentCount = view.getUint16(position);
+    position += 2;
+    const extentStart = position;
+    position += extentCount * (indexSize + offsetSize + lengthSize);
+    if (itemId !== exifItemId) continue;
+    if (constructionMethod !== 0 || extentCount === 0) return null;
+    const extentOffset = readUint(extentStart + indexSize, offsetSize);
+    const extentLength = readUint(extentStart + indexSize + offsetSize, lengthSize);
+    return { offset: baseOffset + extentOffset, length: extentLength };
+  }
+  return null;
+};
+
+/**
+ * 画像ファイルのEXIF（IFD0とExif IFD）のタグを読み取る（JPEG・HEIC・HEIFに対応）
+ * GPS IFDのタグは、タグ番号が重ならないようgpsに分けて格納する
+ * 対応していない形式やEXIFを含まないファイルの場合は空のオブジェクトを返す
+ * @param {Blob} file 対象のファイル
+ * @returns {Promise<Object<number, any>>} タグ番号をキーとした値
+ */
+const readExifTags = async (file) => {
+  // EXIFはファイル先頭のAPP1セグメント（最大64KB）、HEICでは先頭のmetaボックスが指す位置に格納される
+  const view = new DataView(await file.slice(0, 128 * 1024).arrayBuffer());
+  if (view.byteLength >= 12 && view.getUint32(4) === 0x66747970) { // "ftyp"
+    try {
+      const location = findHeifExifLocation(view);
+      if (!location) return {};
+      const itemView = new DataView(await file.slice(location.offset, location.offset + location.length).arrayBuffer());
+      // アイテムの先頭4バイトは、TIFFヘッダーまでのオフセット（その前に"Exif\0\0"が入る）
+      if (itemView.byteLength < 4) return {};
+      return readExifFromTiff(itemView, 4 + itemView.getUint32(0));
+    } catch (err) {
+      console.warn('HEICのEXIFを読み取れませんでした:', err);
+      return {};
+    }
+  }
+  if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return {};
+
+  let offset = 2;
+  while (offset + 10 <= view.byteLength) {
+    const marker = view.getUint16(offset);
+    // SOS以降は画像データのため探索を終了する
+    if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) break;
+
+    const length = view.getUint16(offset + 2);
+    if (marker === 0xFFE1 && view.getUint32(offset + 4) === 0x45786966) { // "Exif"
+      return readExifFromTiff(view, offset + 10);
+    }
+    offset += 2 + length;
+  }
+  return {};
+};
+
+/**
+ * EXIFの日時文字列（YYYY:MM:DD HH:MM:SS）をタイムスタンプに変換する
+ * @param {any} value EXIFのタグの値
+ * @returns {number|null} ミリ秒単位のタイムスタンプ（解釈できない場合はnull）
+ */
+const parseExifDateTime = (value) => {
+  const match = typeof value === 'string' && value.match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/);
+  if (!match) return null;
+  const [, year, month, day, hours, minutes, seconds] = match.map(Number);
+  const time = new Date(year, month - 1, day, hours, minutes, seconds).getTime();
+  return Number.isNaN(time) ? null : time;
+};
+
+/**
+ * EXIFのGPS座標（度・分・秒）を10進数の緯度・経度に変換する
+ * @param {any} value GPSLatitude/GPSLongitudeの値
+ * @param {any} ref 方角（N/S/E/W）
+ * @returns {number|null} 緯度・経度（南緯・西経は負の値。解釈できない場合はnull）
+ */
+const parseGpsCoordinate = (value, ref) => {
+  if (!Array.isArray(value) || value.length < 3 || value.some(Number.isNaN)) return null;
+  const [degrees, minutes, seconds] = value;
+  const coordinate = degrees + minutes / 60 + seconds / 3600;
+  return ref === 'S' || ref === 'W' ? -coordinate : coordinate;
+};
+
+/**
+ * EXIFのタグから、確認画面での表示と出力時の引き継ぎに使うメタデータを取り出す
+ * @param {Object<number, any>} exifTags readExifTagsで読み取ったタグ
+ * @returns {{dateTimeOriginal: string, make: string, model: string, artist: string, copyright: string, gps: {latitude: number, longitude: number} | null}} メタデータ
+ */
+const extractImageMetadata = (exifTags) => {
+  const text = (value) => (typeof value === 'string' ? value : '');
+  const gps = exifTags.gps || {};
+  const latitude = parseGpsCoordinate(gps[GPS_TAG_LATITUDE], gps[GPS_TAG_LATITUDE_REF]);
+  const longitude = parseGpsCoordinate(gps[GPS_TAG_LONGITUDE], gps[GPS_TAG_LONGITUDE_REF]);
+  return {
+    dateTimeOriginal: text(exifTags[EXIF_TAG_DATE_TIME_ORIGINAL]) || text(exifTags[EXIF_TAG_DATE_TIME]),
+    make: text(exifTags[EXIF_TAG_MAKE]),
+    model: text(exifTags[EXIF_TAG_MODEL]),
+    artist: text(exifTags[EXIF_TAG_ARTIST]),
+    copyright: text(exifTags[EXIF_TAG_COPYRIGHT]),
+    gps: latitude !== null && longitude !== null ? { latitude, longitude } : null,
+  };
+};
+
+/**
+ * 文字列のタグのみを含むEXIFのAPP1セグメントを生成する
+ * @param {Object<number, string>} ifd0Values IFD0に格納するタグと値
+ * @param {Object<number, string>} [exifIfdValues] Exif IFDに格納するタグと値
+ * @returns {Uint8Array} APP1セグメント（マーカーを含む）
+ */
+const createExifSegment = (ifd0Values, exifIfdValues = {}) => {
+  const encoder = new TextEncoder();
+  const toEntries = (values) => Object.entries(values)
+    .map(([tag, value]) => ({ tag: Number(tag), bytes: encoder.encode(`${value}\0`) }));
+  const exifIfdEntries = toEntries(exifIfdValues).sort((a, b) => a.tag - b.tag);
+  const ifd0Entries = toEntries(ifd0Values);
+  if (exifIfdEntries.length > 0) ifd0Entries.push({ tag: EXIF_TAG_EXIF_IFD_POINTER, pointer: true });
+  ifd0Entries.sort((a, b) => a.tag - b.tag);
+
+  // 4バイトを超える値はIFDの後ろに格納する（オフセットは偶数に揃える）
+  const getDataSize = (entry) => (entry.bytes && entry.bytes.length > 4 ? entry.bytes.length + (entry.bytes.length % 2) : 0);
+  const getIfdSize = (entries) => 2 + entries.length * 12 + 4 + entries.reduce((sum, entry) => sum + getDataSize(entry), 0);
+  const ifd0Size = getIfdSize(ifd0Entries);
+  const tiffSize = 8 + ifd0Size + (exifIfdEntries.length > 0 ? getIfdSize(exifIfdEntries) : 0);
+
+  const segment = new Uint8Array(10 + tiffSize);
+  const view = new DataView(segment.buffer);
+  const tiffStart = 10;
+  view.setUint16(0, 0xFFE1); // APP1
+  view.setUint16(2, 8 + tiffSize);
+  segment.set([0x45, 0x78, 0x69, 0x66, 0x00, 0x00], 4); // "Exif"
+  view.setUint16(tiffStart, 0x4D4D); // ビッグエンディアン
+  view.setUint16(tiffStart + 2, 0x002A);
+  view.setUint32(tiffStart + 4, 8);
+
+  const writeIfd = (entries, ifdOffset, pointerValue) => {
+    let dataOffset = ifdOffset + 2 + entries.length * 12 + 4;
+    view.setUint16(tiffStart + ifdOffset, entries.length);
+    entries.forEach((entry, i) => {
+      const entryStart = tiffStart + ifdOffset + 2 + i * 12;
+      view.setUint16(entryStart, entry.tag);
+      if (entry.pointer) {
+        view.setUint16(entryStart + 2, 4); // LONG
+        view.setUint32(entryStart + 4, 1);
+        view.setUint32(entryStart + 8, pointerValue);
+        return;
+      }
+      view.setUint16(entryStart + 2, 2); // ASCII
+      view.setUint32(entryStart + 4, entry.bytes.length);
+      if (entry.bytes.length <= 4) {
+        segment.set(entry.bytes, entryStart + 8);
+      } else {
+        view.setUint32(entryStart + 8, dataOffset);
+        segment.set(entry.bytes, tiffStart + dataOffset);
+        dataOffset += getDataSize(entry);
+      }
+    });
+  };
+  writeIfd(ifd0Entries, 8, 8 + ifd0Size);
+  if (exifIfdEntries.length > 0) writeIfd(exifIfdEntries, 8 + ifd0Size);
+  return segment;
+};
+
+/**
+ * JPEGのSOI（と、あればJFIFのAPP0）の直後にセグメントを挿入する
+ * @param {Uint8Array} jpegBytes JPEGのバイト列
+ * @param {Uint8Array} segment 挿入するセグメント（マーカーを含む）
+ * @returns {Uint8Array} セグメント挿入後のバイト列
+ */
+const insertJpegSegment = (jpegBytes, segment) => {
+  let insertAt = 2;
+  if (jpegBytes[2] === 0xFF && jpegBytes[3] === 0xE0) {
+    insertAt += 2 + ((jpegBytes[4] << 8) | jpegBytes[5]);
+  }
+  const result = new Uint8Array(jpegBytes.length + segment.length);
+  result.set(jpegBytes.subarray(0, insertAt), 0);
+  result.set(segment, insertAt);
+  result.set(jpegBytes.subarray(insertAt), insertAt + segment.length);
+  return result;
+};
+
+let orientationAutoAppliedPromise = null;
+
+/**
+ * ブラウザが画像のデコード時にEXIFのOrientationを自動で適用するかどうかを判定する
+ * Orientation=6（90°回転）を付与した2x1pxのJPEGを読み込み、幅が1pxになっていれば自動適用と判断する
+ * 加工（Worker）と同じcreateImageBitmapでデコードして判定する（imgタグとは結果が異なるブラウザがあるため）
+ * @returns {Promise<boolean>} 自動で適用される場合はtrue
+ */
+const isOrientationAutoApplied = () => {
+  if (!orientationAutoAppliedPromise) {
+    orientationAutoAppliedPromise = (async () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = 2;
+      canvas.height = 1;
+      const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg'));
+      const exifSegment = new Uint8Array([
+        0xFF, 0xE1, 0x00, 0x22, 0x45, 0x78, 0x69, 0x66, 0x00, 0x00, // APP1 "Exif"
+        0x4D, 0x4D, 0x00, 0x2A, 0x00, 0x00, 0x00, 0x08, // TIFFヘッダー（ビッグエンディアン）
+        0x00, 0x01, 0x01, 0x12, 0x00, 0x03, 0x00, 0x00, 0x00, 0x01, 0x00, 0x06, 0x00, 0x00, // Orientation=6
+        0x00, 0x00, 0x00, 0x00,
+      ]);
+      const tagged = insertJpegSegment(new Uint8Array(await blob.arrayBuffer()), exifSegment);
+      const url = URL.createObjectURL(new Blob([tagged], { type: 'image/jpeg' }));
+      try {
+        const bitmap = await decodeImage(url);
+        const isApplied = bitmap.width === 1;
+        bitmap.close();
+        return isApplied;
+      } finally {
+        URL.revokeObjectURL(url);
+      }
+    })().catch(() => true); // 判定できない場合は、近年のブラウザの既定動作（自動適用）とみなす
+  }
+  return orientationAutoAppliedPromise;
+};
+
+// 傾き補正で指定できる角度の上限（度）
+const STRAIGHTEN_LIMIT = 15;
+
+/**
+ * 画像に設定された向きの補正内容を取得する
+ * @param {object} image 画像データ
+ * @returns {object} createTransformedCanvasに渡す変換内容
+ */
+const getImageTransform = (image) => ({
+  orientation: image.orientation,
+  rotation: image.rotation,
+  flipHorizontal: image.flipHorizontal,
+  flipVertical: image.flipVertical,
+  straighten: image.straighten,
+});
+
+/**
+ * 一覧のサムネイルに、画像ごとの回転・反転・傾き補正をCSSで反映するためのtransformを取得する
+ * @param {object} image 画像データ
+ * @returns {string} CSSのtransform
+ */
+const getThumbnailTransform = (image) => {
+  const scaleX = image.flipHorizontal ? -1 : 1;
+  const scaleY = image.flipVertical ? -1 : 1;
+  return `rotate(${image.straighten || 0}deg) scale(${scaleX}, ${scaleY}) rotate(${image.rotation || 0}deg)`;
+};
+
+/**
+ * 元画像を加工（Worker）と同じcreateImageBitmapでデコードし、向きなどを補正した画像を生成する
+ * imgタグで読み込むと、ブラウザによってはEXIFの向きの扱いが加工結果と異なるため、表示用の画像もこの関数で読み込む
+ * @param {string} imageUrl 元画像のURL
+ * @param {object} transform 変換内容（createTransformedCanvasと同じ）
+ * @param {number} [maxDimension] 長辺の上限
+ * @returns {Promise<{source: CanvasImageSource, sourceWidth: number, sourceHeight: number, release: () => void}>} 補正後の画像、補正前の元画像の大きさ、描画し終えたら呼び出す解放処理
+ */
+const loadTransformedSource = async (imageUrl, transform, maxDimension = Infinity) => {
+  const bitmap = await decodeImage(imageUrl);
+  const { width: sourceWidth, height: sourceHeight } = bitmap;
+  const source = createTransformedCanvas(bitmap, transform, maxDimension);
+  // 補正が不要な場合は元画像（原寸のImageBitmap）がそのまま返るため、描画し終えてから閉じる
+  if (source !== bitmap) bitmap.close();
+  const release = () => {
+    if (source === bitmap) bitmap.close();
+  };
+  return { source, sourceWidth, sourceHeight, release };
+};
+
+/**
+ * 軽量なサムネイルを生成する
+ * @param {string} imageUrl 画像のURL
+ * @param {number} [orientation] 描画時に補正するEXIFのOrientation
+ * @returns {Promise<string>} サムネイルのData URL
+ */
+const createThumbnail = async (imageUrl, orientation = 1) => {
+  const MAX_DIMENSION = 200; // サムネイルの最大サイズ
+  const { source: thumbnail, release } = await loadTransformedSource(imageUrl, { orientation }, MAX_DIMENSION);
+  const canvas = document.createElement('canvas');
+  canvas.width = thumbnail.width;
+  canvas.height = thumbnail.height;
+  canvas.getContext('2d').drawImage(thumbnail, 0, 0);
+  release();
+  return canvas.toDataURL('image/jpeg', 0.8);
+};
+
+// 知覚ハッシュ（dHash）の比較に使う縮小サイズ（横は隣との差分を取るため1px多い）
+const PERCEPTUAL_HASH_WIDTH = 9;
+const PERCEPTUAL_HASH_HEIGHT = 8;
+// ハッシュの異なるビット数がこの値以下の画像を、ほぼ同じ画像とみなす
+const DUPLICATE_HASH_THRESHOLD = 6;
+
+/**
+ * 画像の知覚ハッシュ（dHash）を計算する
+ * 再保存や縮小をしてもほぼ同じ値になるため、見た目が同じ画像の検出に使う
+ * @param {string} imageUrl 対象の画像のURL（サムネイルで十分）
+ * @returns {Promise<bigint>} 64ビットのハッシュ（比較をXOR1回で済ませるため数値で持つ）
+ */
+const computePerceptualHash = async (imageUrl) => {
+  const img = await loadImage(imageUrl);
+  const canvas = document.createElement('canvas');
+  canvas.width = PERCEPTUAL_HASH_WIDTH;
+  canvas.height = PERCEPTUAL_HASH_HEIGHT;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(img, 0, 0, PERCEPTUAL_HASH_WIDTH, PERCEPTUAL_HASH_HEIGHT);
+  const { data } = ctx.getImageData(0, 0, PERCEPTUAL_HASH_WIDTH, PERCEPTUAL_HASH_HEIGHT);
+
+  const luminance = (x, y) => {
+    const i = (y * PERCEPTUAL_HASH_WIDTH + x) * 4;
+    return data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
+  };
+
+  // 横に隣り合うピクセルの明るさの大小をビットにする
+  let hash = 0n;
+  for (let y = 0; y < PERCEPTUAL_HASH_HEIGHT; y++) {
+    for (let x = 0; x < PERCEPTUAL_HASH_WIDTH - 1; x++) {
+      hash = (hash << 1n) | (luminance(x, y) > luminance(x + 1, y) ? 1n : 0n);
+    }
+  }
+  return hash;
+};
+
+/**
+ * 32ビットの整数の立っているビット数を数える
+ * @param {number} value 対象の値
+ * @returns {number} 立っているビット数
+ */
+const countBits32 = (value) => {
+  let v = value - ((value >>> 1) & 0x55555555);
+  v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+  return (((v + (v >>> 4)) & 0x0F0F0F0F) * 0x01010101) >>> 24;
+};
+
+/**
+ * 2つの知覚ハッシュの異なるビット数（ハミング距離）を数える
+ * @param {bigint} hashA ハッシュ
+ * @param {bigint} hashB ハッシュ
+ * @returns {number} 異なるビット数
+ */
+const getHashDistance = (hashA, hashB) => {
+  const diff = hashA ^ hashB;
+  return countBits32(Number(diff & 0xFFFFFFFFn)) + countBits32(Number(diff >> 32n));
+};
+
+/**
+ * ファイルの内容のハッシュ（SHA-256）を計算する
+ * ファイル全体を読み込むため、findContentHashCandidatesで絞り込んだ画像だけに使う
+ * 安全なコンテキスト以外などでcrypto.subtleが使えない場合はnullを返す
+ * @param {Blob} file 対象のファイル
+ * @returns {Promise<string|null>} 16進数のハッシュ文字列
+ */
+const computeContentHash = async (file) => {
+  if (!window.crypto?.subtle) return null;
+  const digest = await window.crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * 完全に同じファイルかどうかを確かめる必要がある画像（内容のハッシュが未計算のもの）を取得する
+ * 同じファイルはファイルの大きさと知覚ハッシュも必ず一致するため、それらが他の画像と一致するものだけを対象とする
+ * @param {object[]} images 画像データの配列
+ * @returns {object[]} 内容のハッシュを計算する画像
+ */
+const findContentHashCandidates = (images) => {
+  const getKey = (image) => `${image.file.size}:${image.perceptualHash}`;
+  const counts = new Map();
+  images.forEach(image => counts.set(getKey(image), (counts.get(getKey(image)) || 0) + 1));
+  return images.filter(image => image.contentHash === undefined && image.perceptualHash != null && counts.get(getKey(image)) > 1);
+};
+
+/**
+ * 同一または見た目がほぼ同じ画像をグループにまとめる
+ * 似ている画像を次々につなげると、少しずつ違う連写がすべて1つのグループになってしまうため、
+ * グループ内のどの2枚もしきい値以内（または同じファイル）になる画像だけをまとめる（どれを残しても別の写真を削除しない）
+ * @param {object[]} images 画像データの配列
+ * @returns {{imageIds: string[], exact: boolean}[]} 2枚以上からなるグループ（imageIdsは一覧の順）
+ */
+const findDuplicateGroups = (images) => {
+  const isDuplicate = (a, b) => (
+    (a.contentHash && a.contentHash === b.contentHash)
+    || (a.perceptualHash != null && b.perceptualHash != null
+      && getHashDistance(a.perceptualHash, b.perceptualHash) <= DUPLICATE_HASH_THRESHOLD)
+  );
+
+  // 一覧の順に、まだグループに入っていない画像を起点として、起点以降の画像からグループ全体と似ているものを加える
+  const grouped = new Set();
+  const groups = [];
+  images.forEach((seed, seedIndex) => {
+    if (grouped.has(seed)) return;
+    const group = [seed];
+    for (let i = seedIndex + 1; i < images.length; i++) {
+      const candidate = images[i];
+      if (!grouped.has(candidate) && group.every(member => isDuplicate(member, candidate))) group.push(candidate);
+    }
+    if (group.length < 2) return;
+    group.forEach(image => grouped.add(image));
+    groups.push(group);
+  });
+
+  return groups.map(group => ({
+    imageIds: group.map(image => image.id),
+    exact: group.every(image => image.contentHash && image.contentHash === group[0].contentHash),
+  }));
+};
+
+/**
+ * アップロードされたファイルを読み込み、画像データを生成する
+ * HEICはJPEGに変換し、EXIFから向き・撮影日時・カメラ・位置情報などを、ICCプロファイルから色空間を取得する
+ * @param {File} file 対象のファイル
+ * @param {boolean} orientationAutoApplied ブラウザがEXIFの向きを自動で適用するかどうか
+ * @param {string} [folder] ドロップしたフォルダ内でのフォルダ（グループ）
+ * @returns {Promise<object>} 画像データ（一括設定の適用前）
+ */
+const createImageEntry = async (file, orientationAutoApplied, folder = '') => {
+  let blob = file;
+  const lowerCaseName = file.name.toLowerCase();
+  const isHeif = lowerCaseName.endsWith('.heic') || lowerCaseName.endsWith('.heif');
+  if (isHeif && window.heic2any) {
+    blob = await window.heic2any({ blob: file, toType: "image/jpeg", quality: 0.9 });
+  }
+  // 撮影日時などは変換後のJPEGには残らないため、元のファイルから読み取る
+  const [exifTags, iccProfile] = await Promise.all([readExifTags(file), readIccProfile(file)]);
+  // HEICの向きは変換・デコード時に反映される（EXIFの向きは参考情報）ため、HEIC以外のファイルのみEXIFの向きを使う
+  const exifOrientation = isHeif ? 1 : exifTags[EXIF_TAG_ORIENTATION] || 1;
+  // ブラウザが自動で向きを補正しない場合のみ、描画時に補正する
+  const orientation = orientationAutoApplied ? 1 : exifOrientation;
+  const originalUrl = URL.createObjectURL(blob);
+  const thumbnailUrl = await createThumbnail(originalUrl, orientation);
+  const perceptualHash = await computePerceptualHash(thumbnailUrl);
+
+  return {
+    id: `${file.name}-${Date.now()}-${Math.random()}`,
+    file,
+    folder,
+    originalUrl,
+    thumbnailUrl,
+    industryCode: '',
+    submissionId: '',
+    date: '',
+    quality: 9,
+    outputWidth: RESIZE_WIDTH,
+    outputHeight: RESIZE_HEIGHT,
+    fitMode: DEFAULT_FIT_MODE,
+    paddingFill: DEFAULT_PADDING_FILL,
+    paddingColor: DEFAULT_PADDING_COLOR,
+    outputFormat: DEFAULT_OUTPUT_FORMAT,
+    adjustments: createAdjustmentSettings(),
+    autoTrim: false,
+    crop: null,
+    redactions: [],
+    exifOrientation,
+    orientation,
+    rotation: 0,
+    flipHorizontal: false,
+    flipVertical: false,
+    straighten: 0,
+    captureTime: parseExifDateTime(exifTags[EXIF_TAG_DATE_TIME_ORIGINAL]) ?? parseExifDateTime(exifTags[EXIF_TAG_DATE_TIME]),
+    metadata: extractImageMetadata(exifTags),
+    colorProfile: parseIccProfile(iccProfile),
+    perceptualHash,
+    // 内容のハッシュは、大きさと見た目が他の画像と一致した場合にだけ後から計算する（未計算の間はundefined）
+    contentHash: undefined,
+  };
+};
+
+/**
+ * YYYYMMDD形式の日付文字列を取得する
+ * @param {Date} [date] 対象の日時（省略時は今日）
+ * @returns {string} フォーマットされた日付文字列
+ */
+const getFormattedDate = (date = new Date()) => {
+  const yyyy = date.getFullYear();
+  const mm = String(date.getMonth() + 1).padStart(2, '0');
+  const dd = String(date.getDate()).padStart(2, '0');
+  return `${yyyy}${mm}${dd}`;
+};
+
+/**
+ * 写真の補正の初期値（補正なし）を生成する
+ * @returns {object} 補正内容
+ */
+const createAdjustmentSettings = () => ({
+  autoLevels: false,
+  ...Object.fromEntries(ADJUSTMENT_SLIDERS.map(slider => [slider.key, 0])),
+});
+
+/**
+ * 透かしの設定の初期値を生成する
+ * 大きさ・余白は画像の短辺に対する%、不透明度は%で指定する
+ * @returns {object} 透かしの設定
+ */
+const createWatermarkSettings = () => ({
+  enabled: false,
+  type: 'text',
+  text: '©',
+  fontFamily: WATERMARK_FONTS[0].id,
+  color: '#FFFFFF',
+  logoUrl: '', // ロゴ画像のData URL（プリセットとして保存できるようにObject URLは使わない）
+  logoName: '',
+  size: 5,
+  opacity: 50,
+  position: 'bottom-right',
+  margin: 3,
+});
+
+/**
+ * 透かしの設定を検証する
+ * @param {object} watermark 透かしの設定
+ * @returns {string | null} エラーメッセージ（問題がない場合はnull）
+ */
+const validateWatermark = (watermark) => {
+  if (!watermark.enabled) return null;
+  if (watermark.type === 'logo' && !watermark.logoUrl) return 'ロゴ画像を選択してください';
+  if (watermark.type === 'text' && !watermark.text.trim()) return '透かしの文字を入力してください';
+  return null;
+};
+
+/**
+ * 一括設定の初期値を生成する
+ * @returns {object} 一括設定の初期値
+ */
+const createInitialBulkSettings = () => ({
+  industryCode: '',
+  submissionId: '',
+  date: getFormattedDate(),
+  quality: 9,
+  startSequence: '1',
+  sizeProfileId: DEFAULT_SIZE_PROFILE_ID,
+  outputWidth: String(RESIZE_WIDTH),
+  outputHeight: String(RESIZE_HEIGHT),
+  fitMode: DEFAULT_FIT_MODE,
+  paddingFill: DEFAULT_PADDING_FILL,
+  paddingColor: DEFAULT_PADDING_COLOR,
+  maxFileSizeKB: '',
+  outputFormat: DEFAULT_OUTPUT_FORMAT,
+  renditions: [],
+  filenameTemplate: DEFAULT_FILENAME_TEMPLATE,
+  groupByFolder: false,
+  folderGroupOutput: DEFAULT_FOLDER_GROUP_OUTPUT,
+  folderGroupSettings: {},
+  dateSource: DEFAULT_DATE_SOURCE,
+  metadataMode: DEFAULT_METADATA_MODE,
+  keptMetadataFields: DEFAULT_KEPT_METADATA_FIELDS,
+  watermark: createWatermarkSettings(),
+  adjustments: createAdjustmentSettings(),
+  resampling: DEFAULT_RESAMPLING_METHOD,
+  autoTrim: false,
+  autoTrimTolerance: DEFAULT_AUTO_TRIM_TOLERANCE,
+  embedSrgbProfile: false,
+});
+
+/**
+ * 画像のフォルダに適用する一括設定を取得する
+ * フォルダごとのグループ分けが有効な場合、フォルダに入稿ID・業種が設定されていればそちらを使う
+ * @param {object} bulkSettings 一括設定
+ * @param {string} folder 画像のフォルダ（グループ）
+ * @returns {object} フォルダの設定を反映した一括設定
+ */
+const getGroupSettings = (bulkSettings, folder) => {
+  if (!bulkSettings.groupByFolder) return bulkSettings;
+  const group = bulkSettings.folderGroupSettings[folder] || {};
+  return {
+    ...bulkSettings,
+    industryCode: group.industryCode || bulkSettings.industryCode,
+    submissionId: group.submissionId || bulkSettings.submissionId,
+  };
+};
+
+/**
+ * 画像の撮影日をYYYYMMDD形式で取得する
+ * @param {object} image 画像データ
+ * @returns {string} 撮影日（EXIFに撮影日時がない場合は空文字）
+ */
+const getCaptureDate = (image) => (image.captureTime != null ? getFormattedDate(new Date(image.captureTime)) : '');
+
+/**
+ * 画像に適用する一括設定の値を取得する
+ * フォルダごとの設定に加え、日付の基準が撮影日の場合は画像の撮影日を使う（撮影日がない画像は入力した日付）
+ * @param {object} image 画像データ
+ * @param {object} bulkSettings 一括設定
+ * @returns {object} 画像に適用する一括設定
+ */
+const getImageBulkValues = (image, bulkSettings) => {
+  const settings = getGroupSettings(bulkSettings, image.folder);
+  const captureDate = bulkSettings.dateSource === 'capture' ? getCaptureDate(image) : '';
+  return captureDate ? { ...settings, date: captureDate } : settings;
+};
+
+/**
+ * 一括設定の値を画像データに適用する
+ * 確認画面で画像ごとに変更した項目（前回適用した一括設定の値と異なるもの）は、変更した値のまま残す
+ * @param {object} image 画像データ
+ * @param {object} bulkSettings 一括設定
+ * @returns {object} 一括設定を適用した新しい画像データ（appliedBulkValuesに適用した値を記録する）
+ */
+const applyBulkSettings = (image, bulkSettings) => {
+  const settings = getImageBulkValues(image, bulkSettings);
+  const outputWidth = parseInt(settings.outputWidth, 10);
+  const outputHeight = parseInt(settings.outputHeight, 10);
+  const overriddenFields = image.appliedBulkValues
+    ? IMAGE_OVERRIDE_FIELDS.filter(field => !isSameSettingValue(image[field], image.appliedBulkValues[field]))
+    : [];
+  return {
+    ...image,
+    industryCode: settings.industryCode,
+    submissionId: settings.submissionId,
+    date: settings.date,
+    quality: settings.quality,
+    outputWidth,
+    outputHeight,
+    // 出力の縦横比が変わった場合、トリミング範囲は出力の枠と合わなくなるため解除する
+    crop: image.crop && isCropAspectMatched(image.crop, outputWidth, outputHeight) ? image.crop : null,
+    fitMode: settings.fitMode,
+    paddingFill: settings.paddingFill,
+    paddingColor: settings.paddingColor,
+    outputFormat: settings.outputFormat,
+    adjustments: settings.adjustments,
+    autoTrim: settings.autoTrim,
+    ...Object.fromEntries(overriddenFields.map(field => [field, image[field]])),
+    appliedBulkValues: Object.fromEntries(IMAGE_OVERRIDE_FIELDS.map(field => [field, settings[field]])),
+  };
+};
+
+/**
+ * 出力サイズ（幅・高さ）の入力値が有効かどうかを判定する
+ * @param {string|number} value 入力値
+ * @returns {boolean} 1〜MAX_OUTPUT_DIMENSIONの整数であればtrue
+ */
+const isValidOutputDimension = (value) => {
+  if (!/^\d+$/.test(String(value))) return false;
+  const num = parseInt(value, 10);
+  return num > 0 && num <= MAX_OUTPUT_DIMENSION;
+};
+
+/**
+ * 追加の出力サイズ（レンディション）を生成する
+ * @param {object} [values] 初期値
+ * @returns {{id: string, name: string, width: string, height: string, fitMode: string, quality: number, suffix: string, folder: string}} レンディション
+ */
+const createRendition = (values = {}) => ({
+  id: `rendition-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+  name: '追加サイズ',
+  width: String(RESIZE_WIDTH),
+  height: String(RESIZE_HEIGHT),
+  fitMode: DEFAULT_FIT_MODE,
+  quality: 9,
+  suffix: '',
+  folder: '',
+  ...values,
+});
+
+/**
+ * レンディションの設定内容を検証する
+ * メインの出力や他のレンディションとファイル名が重複しないよう、接尾辞かフォルダの指定を必須とする
+ * @param {object[]} renditions レンディションの一覧
+ * @returns {string[]} エラーメッセージ
+ */
+const validateRenditions = (renditions) => {
+  const errors = [];
+  const destinations = new Set();
+  renditions.forEach((rendition, index) => {
+    const label = rendition.name || `追加サイズ${index + 1}`;
+    if (!isValidOutputDimension(rendition.width) || !isValidOutputDimension(rendition.height)) {
+      errors.push(`${label}: 幅・高さは1〜${MAX_OUTPUT_DIMENSION}の半角数字で入力してください`);
+    }
+    if (INVALID_FILENAME_CHARS.test(rendition.suffix) || INVALID_FILENAME_CHARS.test(rendition.folder)) {
+      errors.push(`${label}: 接尾辞・フォルダ名に使用できない文字が含まれています`);
+    }
+    if (!rendition.suffix && !rendition.folder) {
+      errors.push(`${label}: 接尾辞かフォルダ名のどちらかを指定してください`);
+    }
+    const destination = `${rendition.folder}/${rendition.suffix}`;
+    if (destinations.has(destination)) {
+      errors.push(`${label}: 他の追加サイズと接尾辞・フォルダ名が重複しています`);
+    }
+    destinations.add(destination);
+  });
+  return errors;
+};
+
+/**
+ * ファイル名テンプレートを解析する
+ * 使用できるトークン: {industry} {id} {date} {date:書式} {seq} {seq:桁数} {original} {width} {height}
+ * @param {string} template テンプレート
+ * @returns {{parts: Array<{type: 'text', value: string} | {type: 'token', name: string, arg: string | null}>, errors: string[]}} 解析結果とエラーメッセージ
+ */
+const parseFilenameTemplate = (template) => {
+  const parts = [];
+  const errors = [];
+  let text = '';
+  const flushText = () => {
+    if (!text) return;
+    if (INVALID_FILENAME_CHARS.test(text)) {
+      errors.push(`ファイル名に使用できない文字が含まれています: ${text}`);
+    }
+    parts.push({ type: 'text', value: text });
+    text = '';
+  };
+
+  let i = 0;
+  while (i < template.length) {
+    const char = template[i];
+    if (char === '}') {
+      errors.push('対応する「{」がない「}」があります');
+      i++;
+      continue;
+    }
+    if (char !== '{') {
+      text += char;
+      i++;
+      continue;
+    }
+
+    const end = template.indexOf('}', i);
+    const body = end === -1 ? '' : template.slice(i + 1, end);
+    if (end === -1 || body.includes('{')) {
+      errors.push('「{」に対応する「}」がありません');
+      break;
+    }
+    flushText();
+
+    const separatorIndex = body.indexOf(':');
+    const name = separatorIndex === -1 ? body : body.slice(0, separatorIndex);
+    const arg = separatorIndex === -1 ? null : body.slice(separatorIndex + 1);
+    if (!['industry', 'id', 'date', 'seq', 'original', 'width', 'height'].includes(name)) {
+      errors.push(`不明なトークンです: {${body}}`);
+    } else if (arg !== null && name === 'date' && !/^(YYYY|YY|MM|DD|[-_.])+$/.test(arg)) {
+      errors.push(`日付の書式が正しくありません（YYYY, YY, MM, DD と - _ . が使えます）: {${body}}`);
+    } else if (arg !== null && name === 'seq' && !/^[1-9]$/.test(arg)) {
+      errors.push(`連番の桁数は1〜9で指定してください: {${body}}`);
+    } else if (arg !== null && !['date', 'seq'].includes(name)) {
+      errors.push(`このトークンには書式を指定できません: {${body}}`);
+    }
+    parts.push({ type: 'token', name, arg });
+    i = end + 1;
+  }
+  flushText();
+
+  if (parts.length === 0) {
+    if (errors.length === 0) errors.push('テンプレートを入力してください');
+  } else if (!parts.some(part => part.type === 'token' && ['seq', 'original'].includes(part.name))) {
+    errors.push('ファイル名が重複しないよう、{seq}（連番）か{original}（元のファイル名）を含めてください');
+  }
+  return { parts, errors };
+};
+
+/**
+ * ファイル名テンプレートからファイル名（拡張子なし）を生成する
+ * @param {string} template テンプレート
+ * @param {{industryCode: string, submissionId: string, date: string, sequence: number, originalName: string, width: number|string, height: number|string}} values 埋め込む値
+ * @returns {string} ファイル名
+ */
+const buildFilenameFromTemplate = (template, values) => {
+  const { parts } = parseFilenameTemplate(template);
+  return parts.map(part => {
+    if (part.type === 'text') return part.value;
+    switch (part.name) {
+      case 'industry': return values.industryCode;
+      case 'id': return values.submissionId;
+      case 'date':
+        if (!part.arg) return values.date;
+        return part.arg.replace(/YYYY|YY|MM|DD/g, (key) => ({
+          YYYY: values.date.slice(0, 4),
+          YY: values.date.slice(2, 4),
+          MM: values.date.slice(4, 6),
+          DD: values.date.slice(6, 8),
+        })[key]);
+      case 'seq': return String(values.sequence).padStart(part.arg ? parseInt(part.arg, 10) : 2, '0');
+      case 'original': return values.originalName.replace(new RegExp(INVALID_FILENAME_CHARS, 'g'), '_');
+      case 'width': return String(values.width);
+      case 'height': return String(values.height);
+      default: return '';
+    }
+  }).join('');
+};
+
+/**
+ * 出力ファイルのパスを生成する（一覧・プレビュー・ZIP出力で共通）
+ * @param {string} template ファイル名テンプレート
+ * @param {object} image 画像データ
+ * @param {number} sequence 連番
+ * @param {object | null} [rendition] レンディション（メインの出力の場合はnull）
+ * @returns {string} フォルダを含むファイルのパス
+ */
+const generateOutputPath = (template, image, sequence, rendition = null) => {
+  const baseName = buildFilenameFromTemplate(template, {
+    industryCode: image.industryCode,
+    submissionId: image.submissionId,
+    date: image.date,
+    sequence,
+    originalName: image.file.name.replace(/\.[^.]+$/, ''),
+    width: rendition ? rendition.width : image.outputWidth,
+    height: rendition ? rendition.height : image.outputHeight,
+  });
+  const suffix = rendition ? rendition.suffix : '';
+  const extension = resolveOutputFormat(image.outputFormat, image).extension;
+  const filename = `${baseName}${suffix}.${extension}`;
+  return rendition?.folder ? `${rendition.folder}/${filename}` : filename;
+};
+
+/**
+ * ファイル名に使う業種・入稿ID・日付を検証する（一括設定と個別設定で共通）
+ * @param {{industryCode: string, submissionId: string, date: string}} values 検証する値
+ * @returns {{industryCode?: string, submissionId?: string, date?: string}} 項目ごとのエラーメッセージ（問題がなければ空）
+ */
+const validateFilenameFields = ({ industryCode, submissionId, date }) => {
+  const errors = {};
+  if (!industryCode) errors.industryCode = '業種を選択してください';
+  if (!/^\d+$/.test(submissionId)) errors.submissionId = '入稿IDを半角数字で入力してください';
+  if (!/^\d{8}$/.test(date)) errors.date = '日付をYYYYMMDD形式（8桁）で入力してください';
+  return errors;
+};
+
+// 確認画面で画像ごとに上書きできる一括設定の項目
+const IMAGE_OVERRIDE_FIELDS = ['industryCode', 'submissionId', 'date', 'fitMode', 'adjustments', 'autoTrim'];
+
+/**
+ * 設定の値が同じかどうかを判定する（写真の補正などのオブジェクトは中身で比べる）
+ * @param {any} a 比較する値
+ * @param {any} b 比較する値
+ * @returns {boolean} 同じ場合はtrue
+ */
+const isSameSettingValue = (a, b) => a === b || (typeof a === 'object' && JSON.stringify(a) === JSON.stringify(b));
+
+/**
+ * 一括設定（フォルダの設定・撮影日を含む）と異なる値になっている項目を取得する
+ * @param {object} image 画像データ
+ * @param {object} bulkSettings 一括設定
+ * @returns {string[]} 上書きされている項目名
+ */
+const getOverriddenFields = (image, bulkSettings) => {
+  const settings = getImageBulkValues(image, bulkSettings);
+  return IMAGE_OVERRIDE_FIELDS.filter(field => !isSameSettingValue(image[field], settings[field]));
+};
+
+/**
+ * 画像ごとの連番を取得する
+ * フォルダごとのグループ分けが有効な場合は、フォルダごとに連番を振り直す
+ * @param {object[]} images 画像データの配列（並び順が連番の順になる）
+ * @param {object} bulkSettings 一括設定
+ * @returns {Map<string, number>} 画像IDをキーとした連番
+ */
+const getSequenceNumbers = (images, bulkSettings) => {
+  const startSequenceNumber = parseInt(bulkSettings.startSequence, 10) || 1;
+  const counters = new Map();
+  const sequences = new Map();
+  images.forEach(image => {
+    const key = bulkSettings.groupByFolder ? image.folder : '';
+    const count = counters.get(key) || 0;
+    counters.set(key, count + 1);
+    sequences.set(image.id, startSequenceNumber + count);
+  });
+  return sequences;
+};
+
+/**
+ * 画像の出力先のパスを取得する
+ * フォルダごとのグループ分けで1つのZIPにまとめる場合は、元のフォルダ名のフォルダに格納する
+ * @param {object} bulkSettings 一括設定
+ * @param {object} image 画像データ
+ * @param {number} sequence 連番
+ * @param {object | null} [rendition] レンディション（メインの出力の場合はnull）
+ * @returns {string} ZIP内のパス
+ */
+const getImageOutputPath = (bulkSettings, image, sequence, rendition = null) => {
+  const path = generateOutputPath(bulkSettings.filenameTemplate, image, sequence, rendition);
+  const useSubfolder = bulkSettings.groupByFolder && bulkSettings.folderGroupOutput === 'subfolders' && image.folder;
+  return useSubfolder ? `${image.folder}/${path}` : path;
+};
+
+/**
+ * 画像をフォルダごとにまとめる（一覧で最初に現れた順）
+ * @param {object[]} images 画像データの配列
+ * @returns {{folder: string, count: number}[]} フォルダと画像の枚数
+ */
+const getFolderGroups = (images) => {
+  const groups = new Map();
+  images.forEach(image => groups.set(image.folder, (groups.get(image.folder) || 0) + 1));
+  return [...groups.entries()].map(([folder, count]) => ({ folder, count }));
+};
+
+/**
+ * ドロップされたファイルの、ドロップしたフォルダからの相対的なフォルダのパスを取得する
+ * @param {File} file 対象のファイル（react-dropzoneが付与するrelativePath/pathを使う）
+ * @returns {string} フォルダのパス（フォルダに入っていない場合は空文字）
+ */
+const getRelativeDirectory = (file) => {
+  const path = (file.relativePath || file.path || file.name).replace(/^\.?\//, '');
+  const index = path.lastIndexOf('/');
+  return index === -1 ? '' : path.slice(0, index);
+};
+
+/**
+ * ファイルごとのフォルダ（グループ）を決める
+ * 親フォルダを1つドロップした場合はその名前を省き、中のサブフォルダをグループとする
+ * @param {File[]} files ドロップされたファイル
+ * @returns {string[]} filesと同じ順のフォルダ
+ */
+const assignFolders = (files) => {
+  const directories = files.map(getRelativeDirectory);
+  if (new Set(directories).size <= 1) return directories;
+
+  // すべてのファイルに共通する親フォルダを取り除く
+  const splitDirectories = directories.map(directory => (directory ? directory.split('/') : []));
+  let commonDepth = 0;
+  while (splitDirectories.every(parts => parts.length > commonDepth && parts[commonDepth] === splitDirectories[0][commonDepth])) {
+    commonDepth++;
+  }
+  return splitDirectories.map(parts => parts.slice(commonDepth).join('/'));
+};
+
+// 確認画面の並べ替えの種類
+const IMAGE_SORT_ORDERS = [
+  { id: 'name', name: 'ファイル名順' },
+  { id: 'modified', name: '更新日時順' },
+  { id: 'captured', name: '撮影日時順' },
+];
+
+// 「IMG_2.jpg」が「IMG_10.jpg」より前になるよう、数字を数値として比較する
+const filenameCollator = new Intl.Collator('ja', { numeric: true, sensitivity: 'base' });
+
+/**
+ * 画像を指定した順に並べ替える
+ * 撮影日時がない画像は末尾に並べる
+ * @param {object[]} images 画像データの配列
+ * @param {string} orderId 並べ替えの種類（IMAGE_SORT_ORDERSのid）
+ * @returns {object[]} 並べ替えた新しい配列
+ */
+const sortImages = (images, orderId) => {
+  const compare = {
+    name: (a, b) => filenameCollator.compare(a.file.name, b.file.name),
+    modified: (a, b) => a.file.lastModified - b.file.lastModified,
+    captured: (a, b) => {
+      if (a.captureTime == null || b.captureTime == null) {
+        return (a.captureTime == null) - (b.captureTime == null);
+      }
+      return a.captureTime - b.captureTime;
+    },
+  }[orderId];
+  return compare ? [...images].sort(compare) : images;
+};
+
+/**
+ * 配列の要素を別の位置に移動する
+ * @param {any[]} items 対象の配列
+ * @param {number} fromIndex 移動元の位置
+ * @param {number} toIndex 移動先の位置
+ * @returns {any[]} 移動後の新しい配列
+ */
+const moveItem = (items, fromIndex, toIndex) => {
+  const result = [...items];
+  const [item] = result.splice(fromIndex, 1);
+  result.splice(toIndex, 0, item);
+  return result;
+};
+
+/**
+ * 業種コードに紐づく出力サイズを取得する
+ * ユーザーが保存した紐づけを優先し、なければプロファイル定義の業種コードから探す
+ * @param {string} industryCode 業種コード
+ * @param {Object<string, {sizeProfileId: string, outputWidth: string, outputHeight: string}>} industrySizeProfiles 保存済みの紐づけ
+ * @returns {{sizeProfileId: string, outputWidth: string, outputHeight: string} | null} 出力サイズ設定
+ */
+const findSizeProfileForIndustry = (industryCode, industrySizeProfiles) => {
+  if (!industryCode) return null;
+  if (industrySizeProfiles[industryCode]) return industrySizeProfiles[industryCode];
+
+  const profile = SIZE_PROFILES.find(p => p.industryCodes.includes(industryCode));
+  if (!profile) return null;
+  return { sizeProfileId: profile.id, outputWidth: String(profile.width), outputHeight: String(profile.height) };
+};
+
+/**
+ * 指定の縦横比で、画像内に収まる最大のトリミング範囲を中央に配置して取得する
+ * @param {number} imageWidth 画像の幅
+ * @param {number} imageHeight 画像の高さ
+ * @param {number} aspect トリミング範囲の縦横比（幅 / 高さ）
+ * @returns {{x: number, y: number, width: number, height: number}} トリミング範囲
+ */
+const getMaxCropRect = (imageWidth, imageHeight, aspect) => {
+  let width = imageWidth;
+  let height = width / aspect;
+  if (height > imageHeight) {
+    height = imageHeight;
+    width = height * aspect;
+  }
+  return { x: (imageWidth - width) / 2, y: (imageHeight - height) / 2, width, height };
+};
+
+// トリミング範囲の縦横比を出力と同じとみなす誤差（範囲は整数に丸めて保存するため）
+const CROP_ASPECT_TOLERANCE = 0.01;
+
+/**
+ * トリミング範囲の縦横比が、出力サイズの縦横比と同じかどうかを判定する
+ * @param {{width: number, height: number}} crop トリミング範囲
+ * @param {number} width 出力幅
+ * @param {number} height 出力高さ
+ * @returns {boolean} 同じとみなせる場合はtrue
+ */
+const isCropAspectMatched = (crop, width, height) => {
+  const aspect = width / height;
+  return Math.abs(crop.width / crop.height - aspect) <= aspect * CROP_ASPECT_TOLERANCE;
+};
+
+/**
+ * トリミング範囲を、中心を保ったまま指定の縦横比に切り詰める
+ * 元の範囲の内側に収めるため、元画像からはみ出すことはない
+ * @param {{x: number, y: number, width: number, height: number}} crop トリミング範囲
+ * @param {number} aspect 縦横比（幅 / 高さ）
+ * @returns {{x: number, y: number, width: number, height: number}} 切り詰めたトリミング範囲
+ */
+const fitCropToAspect = (crop, aspect) => {
+  const { width, height } = getMaxCropRect(crop.width, crop.height, aspect);
+  return {
+    x: Math.round(crop.x + (crop.width - width) / 2),
+    y: Math.round(crop.y + (crop.height - height) / 2),
+    width: Math.round(width),
+    height: Math.round(height),
+  };
+};
+
+// ブラウザがエンコードに対応している出力形式のID（起動時の判定が終わるまではnull）
+let encodableFormatIds = null;
+
+/**
+ * ブラウザがエンコードに対応している出力形式を判定する
+ * 非対応の形式を指定するとPNGで出力されるブラウザがあるため、結果の形式を確認する
+ * 判定結果は「元の形式を維持」で使うため、モジュール内にも保持する
+ * @returns {Promise<string[]>} 対応している出力形式のID
+ */
+const detectSupportedOutputFormats = async () => {
+  const canvas = document.createElement('canvas');
+  canvas.width = 1;
+  canvas.height = 1;
+  const results = await Promise.all(OUTPUT_FORMATS.map(format => new Promise(resolve => {
+    canvas.toBlob(blob => resolve(blob && blob.type === format.mimeType ? format.id : null), format.mimeType);
+  })));
+  encodableFormatIds = results.filter(Boolean);
+  return encodableFormatIds;
+};
+
+/**
+ * 画像に適用する出力形式を取得する
+ * 「元の形式を維持」の場合は元ファイルの形式を使い、HEICやブラウザがエンコードできない形式はJPEGにする
+ * （判定が終わる前は、どのブラウザでもエンコードできるJPEG・PNGのみ元の形式を使う）
+ * @param {string} formatId 出力形式のID
+ * @param {object} image 画像データ
+ * @returns {object} OUTPUT_FORMATSの要素
+ */
+const resolveOutputFormat = (formatId, image) => {
+  if (formatId === KEEP_ORIGINAL_FORMAT) {
+    const originalFormat = OUTPUT_FORMATS.find(format => format.mimeType === image.file.type);
+    const isEncodable = originalFormat && (encodableFormatIds || ['jpeg', 'png']).includes(originalFormat.id);
+    return isEncodable ? originalFormat : OUTPUT_FORMATS[0];
+  }
+  return OUTPUT_FORMATS.find(format => format.id === formatId) || OUTPUT_FORMATS[0];
+};
+
+/**
+ * 1枚の画像の加工内容を、Workerに渡せる形式でまとめる
+ * レンディションを指定した場合は、そのサイズ・合わせ方・画質で出力する
+ * @param {object} image 画像データ
+ * @param {object | null} rendition レンディション（メインの出力の場合はnull）
+ * @param {number | null} maxBytes ファイルサイズの上限（バイト）
+ * @param {{watermark?: object, resampling?: string, autoTrimTolerance?: number}} [options] 透かしの設定（無効の場合は描画しない）、縮小の方式、自動トリミングの許容範囲
+ * @returns {object} imagePipelineのprocessImageJobsに渡す加工内容
+ */
+const createProcessJob = (image, rendition, maxBytes, { watermark = null, resampling = DEFAULT_RESAMPLING_METHOD, autoTrimTolerance = DEFAULT_AUTO_TRIM_TOLERANCE } = {}) => {
+  const width = rendition ? parseInt(rendition.width, 10) : image.outputWidth;
+  const height = rendition ? parseInt(rendition.height, 10) : image.outputHeight;
+  // 縦横比の異なるレンディションでは、トリミング範囲を中心を保ったまま出力の縦横比に合わせる
+  const crop = image.crop && !isCropAspectMatched(image.crop, width, height)
+    ? fitCropToAspect(image.crop, width / height)
+    : image.crop;
+  return {
+    sourceUrl: image.originalUrl,
+    transform: getImageTransform(image),
+    crop,
+    width,
+    height,
+    fitMode: (rendition ? rendition.fitMode : image.fitMode) || DEFAULT_FIT_MODE,
+    paddingFill: image.paddingFill || DEFAULT_PADDING_FILL,
+    paddingColor: image.paddingColor,
+    format: resolveOutputFormat(image.outputFormat, image),
+    quality: (rendition ? rendition.quality : image.quality) / 10,
+    maxBytes,
+    adjustments: image.adjustments,
+    // sRGB以外のプロファイルを持つ画像は、加工時にsRGBへ変換する
+    colorConversion: image.colorProfile?.conversion || null,
+    watermark: watermark && watermark.enabled ? watermark : null,
+    resampling,
+    // 手動でトリミングした画像は、指定した範囲をそのまま使う
+    autoTrim: image.autoTrim && !image.crop ? { tolerance: autoTrimTolerance } : null,
+    redactions: image.redactions,
+  };
+};
 
-  return { isLoaded, error };
+/**
+ * 出力する画像に残すメタデータのEXIFセグメントを生成する
+ * 一括設定で選択した項目のうち、元の画像に含まれているものだけを格納する
+ * @param {object} metadata 画像のメタデータ（extractImageMetadataの戻り値）
+ * @param {object} bulkSettings 一括設定
+ * @returns {Uint8Array | null} APP1セグメント（残す項目がない場合はnull）
+ */
+const createMetadataSegment = (metadata, bulkSettings) => {
+  if (bulkSettings.metadataMode !== 'keep' || !metadata) return null;
+  const fields = bulkSettings.keptMetadataFields;
+  const ifd0Values = {};
+  const exifIfdValues = {};
+  if (fields.includes('copyright') && metadata.copyright) ifd0Values[EXIF_TAG_COPYRIGHT] = metadata.copyright;
+  if (fields.includes('artist') && metadata.artist) ifd0Values[EXIF_TAG_ARTIST] = metadata.artist;
+  if (fields.includes('camera')) {
+    if (metadata.make) ifd0Values[EXIF_TAG_MAKE] = metadata.make;
+    if (metadata.model) ifd0Values[EXIF_TAG_MODEL] = metadata.model;
+  }
+  if (fields.includes('dateTimeOriginal') && metadata.dateTimeOriginal) {
+    exifIfdValues[EXIF_TAG_DATE_TIME_ORIGINAL] = metadata.dateTimeOriginal;
+  }
+  if (Object.keys(ifd0Values).length === 0 && Object.keys(exifIfdValues).length === 0) return null;
+  return createExifSegment(ifd0Values, exifIfdValues);
 };
 
 /**
- * 軽量なサムネイルを生成する
- * @param {string} imageUrl 画像のURL
- * @returns {Promise<string>} サムネイルのData URL
+ * バイト数を表示用の文字列に変換する
+ * @param {number} bytes バイト数
+ * @returns {string} KBまたはMB単位の文字列
  */
-const createThumbnail = (imageUrl) => {
-  return new Promise((resolve, reject) => {
-    const img = new Image();
-    img.crossOrigin = 'anonymous';
-    img.onload = () => {
-      const canvas = document.createElement('canvas');
-      const ctx = canvas.getContext('2d');
-      const MAX_DIMENSION = 200; // サムネイルの最大サイズ
-      let { width, height } = img;
-
-      if (width > height) {
-        if (width > MAX_DIMENSION) {
-          height *= MAX_DIMENSION / width;
-          width = MAX_DIMENSION;
-        }
-      } else {
-        if (height > MAX_DIMENSION) {
-          width *= MAX_DIMENSION / height;
-          height = MAX_DIMENSION;
-        }
-      }
-      canvas.width = width;
-      canvas.height = height;
-      ctx.drawImage(img, 0, 0, width, height);
-      resolve(canvas.toDataURL('image/jpeg', 0.8));
-    };
-    img.onerror = reject;
-    img.src = imageUrl;
-  });
+const formatFileSize = (bytes) => {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+  return `${(bytes / 1024).toFixed(1)} KB`;
 };
 
 /**
- * YYYYMMDD形式の日付文字列を取得する
- * @returns {string} フォーマットされた日付文字列
+ * ファイルをData URLとして読み込む
+ * @param {Blob} file 対象のファイル
+ * @returns {Promise<string>} Data URL
  */
-const getFormattedDate = () => {
-  const today = new Date();
-  const yyyy = today.getFullYear();
-  const mm = String(today.getMonth() + 1).padStart(2, '0');
-  const dd = String(today.getDate()).padStart(2, '0');
-  return `${yyyy}${mm}${dd}`;
+const readFileAsDataUrl = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(file);
+});
+
+/**
+ * 加工前の元画像を、出力と同じ範囲・配置で出力サイズに描画する（プレビューで加工後と比べるため）
+ * 写真の補正・透かし・隠す範囲は適用せず、余白は透明のままにする
+ * @param {object} image 画像データ
+ * @param {object | null} rendition レンディション（メインの出力の場合はnull）
+ * @param {object | null} trimBox 加工時に自動トリミングで使った範囲
+ * @returns {Promise<Blob>} PNG形式の画像
+ */
+const renderOriginalComparison = async (image, rendition, trimBox) => {
+  const job = createProcessJob(image, rendition, null);
+  const { source, release } = await loadTransformedSource(image.originalUrl, job.transform);
+  const region = job.crop || trimBox || { x: 0, y: 0, width: source.width, height: source.height };
+  const rect = calculateFitRect(region.width, region.height, job.width, job.height, job.fitMode);
+  const canvas = createCanvas(job.width, job.height);
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(source, region.x + rect.sx, region.y + rect.sy, rect.sw, rect.sh, rect.dx, rect.dy, rect.dw, rect.dh);
+  release();
+  return canvasToBlob(canvas, 'image/png');
 };
 
+/**
+ * 等倍表示で画像を動かせる範囲に位置を収める（表示枠より小さい方向は中央に置く）
+ * @param {number} offset 表示枠の左上に対する画像の位置（px）
+ * @param {number} viewportSize 表示枠の大きさ（px）
+ * @param {number} contentSize 画像の表示上の大きさ（px）
+ * @returns {number} 収めた位置（px）
+ */
+const clampPanOffset = (offset, viewportSize, contentSize) => (
+  contentSize <= viewportSize
+    ? (viewportSize - contentSize) / 2
+    : Math.min(0, Math.max(viewportSize - contentSize, offset))
+);
+
 // === Reactコンポーネント ===
 
 /**
@@ -399,18 +1870,90 @@ const Alert = ({ message, type = 'error', onDismiss }) => {
   );
 };
 
+/**
+ * 残り時間を表示用の文字列に変換する
+ * @param {number} seconds 秒数
+ * @returns {string} 「約1分20秒」のような文字列
+ */
+const formatRemainingTime = (seconds) => {
+  const rounded = Math.max(1, Math.ceil(seconds));
+  if (rounded < 60) return `約${rounded}秒`;
+  const minutes = Math.floor(rounded / 60);
+  const rest = rounded % 60;
+  return rest > 0 ? `約${minutes}分${rest}秒` : `約${minutes}分`;
+};
+
+/**
+ * 処理済みの件数と経過時間から、残りの処理時間を見積もる
+ * まだ1件も終わっていない場合は、前回までの処理で計測した1件あたりの時間を使う
+ * @param {number} progress 処理済みの件数
+ * @param {number} total 全体の件数
+ * @param {number} elapsedSeconds 経過時間（一時停止中の時間を除く）
+ * @param {number | null} fallbackSecondsPerItem 前回までの1件あたりの時間
+ * @returns {number | null} 残りの秒数（見積もれない場合はnull）
+ */
+const estimateRemainingSeconds = (progress, total, elapsedSeconds, fallbackSecondsPerItem) => {
+  const secondsPerItem = progress > 0 ? elapsedSeconds / progress : fallbackSecondsPerItem;
+  if (!secondsPerItem || progress >= total) return null;
+  return secondsPerItem * (total - progress);
+};
+
+/**
+ * 配列の要素を、同時に処理する数を制限しながら非同期に処理する
+ * @param {any[]} items 処理する要素
+ * @param {number} limit 同時に処理する数の上限
+ * @param {(item: any, index: number) => Promise<any>} callback 1件分の処理
+ * @returns {Promise<any[]>} 要素と同じ順の結果
+ */
+const mapWithConcurrency = async (items, limit, callback) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  const runNext = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await callback(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, runNext));
+  return results;
+};
+
+/**
+ * ZIPの保存先を選んでもらう（File System Access API）
+ * ZIPが1つの場合は保存するファイル、複数の場合は保存するフォルダを選ぶ
+ * 選択の画面はボタンを押した直後にしか開けないため、加工を始める前に呼び出す
+ * @param {string[]} filenames ZIPのファイル名
+ * @returns {Promise<FileSystemFileHandle[] | null>} ファイル名と同じ順の保存先（APIに対応していない場合はnull。選択を取り消した場合はAbortErrorになる）
+ */
+const pickZipFileHandles = async (filenames) => {
+  if (filenames.length === 1 && window.showSaveFilePicker) {
+    return [await window.showSaveFilePicker({
+      suggestedName: filenames[0],
+      types: [{ description: 'ZIPファイル', accept: { 'application/zip': ['.zip'] } }],
+    })];
+  }
+  if (filenames.length > 1 && window.showDirectoryPicker) {
+    const directory = await window.showDirectoryPicker({ mode: 'readwrite' });
+    return Promise.all(filenames.map(filename => directory.getFileHandle(filename, { create: true })));
+  }
+  return null;
+};
+
 /**
  * ローディング画面コンポーネント
+ * onCancelを渡すと中止ボタン、onPause/onResumeを渡すと一時停止ボタンを表示する
  */
-const LoadingScreen = ({ title, progress, total }) => (
+const LoadingScreen = ({ title, progress, total, remainingSeconds, onCancel, isPaused, onPause, onResume }) => (
   <div className="w-full h-full flex flex-col items-center justify-center text-center p-8 bg-gray-100">
     <div className="relative">
       <div className="w-28 h-28 bg-white/70 backdrop-blur-lg rounded-full flex items-center justify-center shadow-lg">
-        <Loader className="w-16 h-16 text-blue-500 animate-spin" />
+        {isPaused
+          ? <Pause className="w-16 h-16 text-gray-400" />
+          : <Loader className="w-16 h-16 text-blue-500 animate-spin" />}
       </div>
     </div>
     <h2 className="text-2xl font-semibold mt-10 text-gray-700 tracking-wide">
-      {title}
+      {isPaused ? '一時停止中' : title}
     </h2>
     {progress !== undefined && total !== undefined && total > 0 && (
       <div className="w-full max-w-sm mt-8">
@@ -423,32 +1966,108 @@ const LoadingScreen = ({ title, progress, total }) => (
             style={{ width: `${(progress / total) * 100}%` }}
           ></div>
         </div>
+        {remainingSeconds != null && !isPaused && (
+          <p className="mt-2 text-sm text-gray-500">残り時間: {formatRemainingTime(remainingSeconds)}</p>
+        )}
+      </div>
+    )}
+    {(onCancel || onPause) && (
+      <div className="flex gap-3 mt-8">
+        {onPause && (
+          <button
+            onClick={isPaused ? onResume : onPause}
+            className="flex items-center gap-2 px-6 py-3 rounded-xl text-gray-800 font-semibold bg-white/80 border border-gray-300/60 hover:bg-gray-200/60 transition shadow-sm"
+          >
+            {isPaused ? <Play size={18} /> : <Pause size={18} />}
+            <span>{isPaused ? '再開' : '一時停止'}</span>
+          </button>
+        )}
+        {onCancel && (
+          <button
+            onClick={onCancel}
+            className="flex items-center gap-2 px-6 py-3 rounded-xl text-gray-700 font-semibold bg-gray-200 hover:bg-gray-300 transition"
+          >
+            <X size={18} />
+            <span>中止</span>
+          </button>
+        )}
       </div>
     )}
   </div>
 );
 
+// 1回の処理で扱えるファイル数・ファイルサイズと、同時に加工する数の既定値（上限の設定で変更できる）
+// 同時に加工する数の0は、端末のコア数とメモリから自動で決めることを表す
+const DEFAULT_PROCESSING_LIMITS = { maxFileCount: 300, maxFileSizeMB: 50, maxWorkers: 0 };
+
+// 上限の設定で指定できる範囲
+const PROCESSING_LIMIT_RANGES = {
+  maxFileCount: { min: 1, max: 2000 },
+  maxFileSizeMB: { min: 1, max: 200 },
+  maxWorkers: { min: 0, max: 16 },
+};
+
 /**
- * STEP 1: 画像アップロード画面
+ * 上限の設定を、指定できる範囲の整数に補正する
+ * @param {object} values 保存されていた値や入力された値
+ * @returns {{maxFileCount: number, maxFileSizeMB: number, maxWorkers: number}} 補正した設定
  */
-const UploadScreen = ({ onFilesAccepted, setErrors }) => {
-  const onDrop = useCallback((acceptedFiles, fileRejections, event) => {
-    let currentErrors = [];
-    if (acceptedFiles.length + fileRejections.length > 50) {
-      currentErrors.push('一度にアップロードできるファイルは50枚までです。');
-    }
+const normalizeProcessingLimits = (values = {}) => {
+  const limits = {};
+  Object.entries(PROCESSING_LIMIT_RANGES).forEach(([key, { min, max }]) => {
+    const value = parseInt(values[key], 10);
+    limits[key] = Number.isNaN(value) ? DEFAULT_PROCESSING_LIMITS[key] : Math.min(Math.max(value, min), max);
+  });
+  return limits;
+};
 
-    fileRejections.forEach(rejection => {
-      rejection.errors.forEach(err => {
-        if (err.code === 'file-too-large') {
-          currentErrors.push(`ファイルサイズが大きすぎます: ${rejection.file.name} (10MBまで)`);
-        }
-        if (err.code === 'file-invalid-type') {
-          currentErrors.push(`対応していないファイル形式です: ${rejection.file.name}`);
-        }
-      });
+// アップロードを受け付けるファイル形式（react-dropzoneのaccept形式）
+const ACCEPTED_IMAGE_TYPES = {
+  'image/jpeg': ['.jpg', '.jpeg'],
+  'image/png': ['.png'],
+  'image/webp': ['.webp'],
+  'image/avif': ['.avif'],
+  'image/heic': ['.heic', '.heif'],
+};
+
+/**
+ * ドロップされたファイルを検証し、エラーメッセージを生成する
+ * @param {File[]} acceptedFiles 受け付けたファイル
+ * @param {object[]} fileRejections react-dropzoneで拒否されたファイル
+ * @param {{maxFileCount: number, maxFileSizeMB: number}} limits 上限の設定
+ * @param {number} [currentCount] すでに読み込み済みの画像の枚数
+ * @returns {string[]} エラーメッセージ（問題がなければ空）
+ */
+const validateDroppedFiles = (acceptedFiles, fileRejections, limits, currentCount = 0) => {
+  const errors = [];
+  const { maxFileCount, maxFileSizeMB } = limits;
+  if (currentCount + acceptedFiles.length + fileRejections.length > maxFileCount) {
+    errors.push(currentCount > 0
+      ? `画像は合計${maxFileCount}枚までです。あと${Math.max(maxFileCount - currentCount, 0)}枚追加できます。`
+      : `一度にアップロードできるファイルは${maxFileCount}枚までです。`);
+  }
+
+  fileRejections.forEach(rejection => {
+    rejection.errors.forEach(err => {
+      if (err.code === 'file-too-large') {
+        errors.push(`ファイルサイズが大きすぎます: ${rejection.file.name} (${maxFileSizeMB}MBまで)`);
+      }
+      if (err.code === 'file-invalid-type') {
+        errors.push(`対応していないファイル形式です: ${rejection.file.name}`);
+      }
     });
+  });
+  return errors;
+};
+
+/**
+ * STEP 1: 画像アップロード画面
+ */
+const UploadScreen = ({ onFilesAccepted, setErrors, processingLimits, onChangeProcessingLimits }) => {
+  const [isLimitSettingsOpen, setIsLimitSettingsOpen] = useState(false);
 
+  const onDrop = useCallback((acceptedFiles, fileRejections, event) => {
+    const currentErrors = validateDroppedFiles(acceptedFiles, fileRejections, processingLimits);
     if (currentErrors.length > 0) {
       setErrors(currentErrors);
       return;
@@ -458,16 +2077,12 @@ const UploadScreen = ({ onFilesAccepted, setErrors }) => {
       const method = event.type === 'drop' ? 'drag_and_drop' : 'button_click';
       onFilesAccepted(acceptedFiles, method);
     }
-  }, [onFilesAccepted, setErrors]);
+  }, [onFilesAccepted, setErrors, processingLimits]);
 
   const { getRootProps, getInputProps, isDragActive, open } = useDropzone({
     onDrop,
-    accept: {
-      'image/jpeg': ['.jpg', '.jpeg'],
-      'image/png': ['.png'],
-      'image/heic': ['.heic', '.heif'],
-    },
-    maxSize: 10 * 1024 * 1024, // 10MB
+    accept: ACCEPTED_IMAGE_TYPES,
+    maxSize: processingLimits.maxFileSizeMB * 1024 * 1024,
     noClick: true,
     noKeyboard: true,
   });
@@ -507,9 +2122,48 @@ const UploadScreen = ({ onFilesAccepted, setErrors }) => {
               </button>
             </div>
             <div className="absolute bottom-4 sm:bottom-6 text-center w-full text-xs text-gray-500 px-2">
-              <p>対応: JPG, PNG, HEIC  |  サイズ: 10MBまで  |  上限: 50枚</p>
+              <p>対応: JPG, PNG, WebP, AVIF, HEIC  |  サイズ: {processingLimits.maxFileSizeMB}MBまで  |  上限: {processingLimits.maxFileCount}枚</p>
             </div>
           </div>
+          <div className="mt-6 text-left">
+            <button
+              type="button"
+              onClick={() => setIsLimitSettingsOpen(open => !open)}
+              className="mx-auto flex items-center gap-2 text-sm font-semibold text-gray-500 hover:text-gray-700"
+            >
+              <Settings size={16} />
+              <span>上限の設定</span>
+            </button>
+            {isLimitSettingsOpen && (
+              <div className="mt-4 p-5 bg-white/60 border border-gray-200/50 rounded-2xl shadow-sm grid grid-cols-1 sm:grid-cols-3 gap-4">
+                {[
+                  { key: 'maxFileCount', label: '枚数の上限', unit: '枚' },
+                  { key: 'maxFileSizeMB', label: '1ファイルのサイズ上限', unit: 'MB' },
+                  { key: 'maxWorkers', label: '同時に加工する数', unit: '（0は自動）' },
+                ].map(({ key, label, unit }) => (
+                  <label key={key} className="block text-sm text-gray-600">
+                    {label}
+                    <div className="flex items-center gap-2 mt-1">
+                      {/* 入力途中の値で補正されないよう、フォーカスが外れたときに反映する */}
+                      <input
+                        key={processingLimits[key]}
+                        type="number"
+                        min={PROCESSING_LIMIT_RANGES[key].min}
+                        max={PROCESSING_LIMIT_RANGES[key].max}
+                        defaultValue={processingLimits[key]}
+                        onBlur={(e) => onChangeProcessingLimits({ ...processingLimits, [key]: e.target.value })}
+                        className="w-full px-3 py-2 bg-white/80 border border-gray-300/50 rounded-lg outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                      <span className="flex-shrink-0 text-xs text-gray-500">{unit}</span>
+                    </div>
+                  </label>
+                ))}
+                <p className="sm:col-span-3 text-xs text-gray-500">
+                  ※大きな写真をたくさん扱うと、ブラウザのメモリが不足することがあります。加工中にタブが落ちる場合は「同時に加工する数」を減らしてください。
+                </p>
+              </div>
+            )}
+          </div>
         </div>
       </div>
       {isDragActive && (
@@ -676,10 +2330,264 @@ const IndustryManagementModal = ({ isOpen, onClose, spreadsheetUrl, spreadsheetM
     );
 };
 
+/**
+ * 写真の補正の設定欄（一括設定と確認画面の個別設定で共通）
+ */
+const AdjustmentSettings = ({ adjustments, onChange, idPrefix }) => {
+    const updateAdjustments = (changes) => onChange({ ...adjustments, ...changes });
+    const isAdjusted = hasAdjustments(adjustments);
+
+    return (
+        <div className="space-y-3">
+            <div className="flex items-center gap-2">
+                <button
+                    type="button"
+                    onClick={() => updateAdjustments({ autoLevels: !adjustments.autoLevels })}
+                    aria-pressed={adjustments.autoLevels}
+                    className={`flex-grow px-4 py-2 text-sm font-semibold rounded-xl border transition ${adjustments.autoLevels ? 'bg-blue-600 text-white border-blue-600' : 'bg-white/80 text-gray-700 border-gray-300/60 hover:bg-gray-200/60'}`}
+                >
+                    {adjustments.autoLevels ? '自動補正中（レベル・色かぶり）' : '自動補正（レベル・色かぶり）'}
+                </button>
+                {isAdjusted && (
+                    <button
+                        type="button"
+                        onClick={() => onChange(createAdjustmentSettings())}
+                        className="flex-shrink-0 px-3 py-2 text-xs font-semibold text-blue-600 hover:underline"
+                    >
+                        補正をリセット
+                    </button>
+                )}
+            </div>
+            {ADJUSTMENT_SLIDERS.map(slider => (
+                <div key={slider.key}>
+                    <div className="flex items-center justify-between text-sm text-gray-600 mb-1">
+                        <label htmlFor={`${idPrefix}-${slider.key}`}>{slider.name}</label>
+                        <span>{adjustments[slider.key] > 0 && slider.min < 0 ? '+' : ''}{adjustments[slider.key]}</span>
+                    </div>
+                    <input
+                        id={`${idPrefix}-${slider.key}`}
+                        type="range"
+                        min={slider.min}
+                        max={slider.max}
+                        step={1}
+                        value={adjustments[slider.key]}
+                        onChange={(e) => updateAdjustments({ [slider.key]: parseInt(e.target.value, 10) })}
+                        onDoubleClick={() => updateAdjustments({ [slider.key]: 0 })}
+                        className="w-full accent-blue-600"
+                    />
+                </div>
+            ))}
+        </div>
+    );
+};
+
+/**
+ * 透かし（ウォーターマーク）の設定欄
+ */
+const WatermarkSettings = ({ watermark, onChange, presets, onSavePreset, onDeletePreset }) => {
+    const [presetName, setPresetName] = useState('');
+    const [selectedPresetId, setSelectedPresetId] = useState('');
+    const [logoError, setLogoError] = useState('');
+
+    const updateWatermark = (changes) => onChange({ ...watermark, ...changes });
+
+    const onDropLogo = useCallback(async (acceptedFiles, fileRejections) => {
+        const file = acceptedFiles[0];
+        if (!file) {
+            setLogoError(fileRejections.length > 0 ? `PNG画像（${MAX_WATERMARK_LOGO_BYTES / 1024 / 1024}MBまで）を選択してください` : '');
+            return;
+        }
+        try {
+            onChange({ ...watermark, logoUrl: await readFileAsDataUrl(file), logoName: file.name });
+            setLogoError('');
+        } catch {
+            setLogoError('ロゴ画像を読み込めませんでした');
+        }
+    }, [watermark, onChange]);
+
+    const logoDropzone = useDropzone({
+        onDrop: onDropLogo,
+        accept: { 'image/png': ['.png'] },
+        maxSize: MAX_WATERMARK_LOGO_BYTES,
+        multiple: false,
+        noClick: true,
+        noKeyboard: true,
+        noDrag: true,
+    });
+
+    const handleSelectPreset = (presetId) => {
+        setSelectedPresetId(presetId);
+        const preset = presets.find(p => p.id === presetId);
+        if (preset) {
+            onChange({ ...createWatermarkSettings(), ...preset.watermark, enabled: true });
+            setPresetName(preset.name);
+        }
+    };
+
+    const handleDeletePreset = () => {
+        onDeletePreset(selectedPresetId);
+        setSelectedPresetId('');
+    };
+
+    const watermarkError = validateWatermark(watermark);
+
+    return (
+        <div>
+            <label className="flex items-center gap-2 text-base font-semibold text-gray-700">
+                <input
+                    type="checkbox"
+                    checked={watermark.enabled}
+                    onChange={(e) => updateWatermark({ enabled: e.target.checked })}
+                    className="w-4 h-4 rounded text-blue-600 focus:ring-blue-500"
+                />
+                透かし（ウォーターマーク）を入れる
+            </label>
+            <p className="text-xs text-gray-500 mt-2">※すべての出力画像（追加の出力サイズを含む）に、ロゴや「©店舗名」などを重ねます</p>
+            {presets.length > 0 && (
+                <div className="flex items-center gap-2 mt-3">
+                    <select
+                        aria-label="透かしのプリセット"
+                        value={selectedPresetId}
+                        onChange={(e) => handleSelectPreset(e.target.value)}
+                        className="flex-grow px-4 py-3 bg-white/50 border border-gray-300/50 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition"
+                    >
+                        <option value="">保存したプリセットから読み込む</option>
+                        {presets.map(preset => <option key={preset.id} value={preset.id}>{preset.name}</option>)}
+                    </select>
+                    {selectedPresetId && (
+                        <button
+                            type="button"
+                            onClick={handleDeletePreset}
+                            title="このプリセットを削除"
+                            aria-label="このプリセットを削除"
+                            className="flex-shrink-0 p-3 text-gray-400 rounded-xl hover:text-red-600 hover:bg-red-50 transition"
+                        >
+                            <Trash2 size={18} />
+                        </button>
+                    )}
+                </div>
+            )}
+            {watermark.enabled && (
+                <div className="mt-4 space-y-4">
+                    <div className="flex gap-2">
+                        {WATERMARK_TYPES.map(type => (
+                            <button
+                                key={type.id}
+                                type="button"
+                                onClick={() => updateWatermark({ type: type.id })}
+                                className={`flex-1 px-4 py-2 text-sm font-semibold rounded-xl border transition ${watermark.type === type.id ? 'bg-blue-600 text-white border-blue-600' : 'bg-white/80 text-gray-700 border-gray-300/60 hover:bg-gray-200/60'}`}
+                            >
+                                {type.name}
+                            </button>
+                        ))}
+                    </div>
+                    {watermark.type === 'text' ? (
+                        <div className="flex items-center gap-2">
+                            <input
+                                type="text"
+                                aria-label="透かしの文字"
+                                value={watermark.text}
+                                onChange={(e) => updateWatermark({ text: e.target.value })}
+                                placeholder="例: ©店舗名"
+                                className="flex-grow min-w-0 px-4 py-3 bg-white/50 border border-gray-300/50 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition"
+                            />
+                            <select
+                                aria-label="透かしのフォント"
+                                value={watermark.fontFamily}
+                                onChange={(e) => updateWatermark({ fontFamily: e.target.value })}
+                                className="flex-shrink-0 px-3 py-3 bg-white/50 border border-gray-300/50 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition"
+                            >
+                                {WATERMARK_FONTS.map(font => <option key={font.id} value={font.id}>{font.name}</option>)}
+                            </select>
+                            <input
+                                type="color"
+                                aria-label="透かしの文字の色"
+                                value={watermark.color}
+                                onChange={(e) => updateWatermark({ color: e.target.value.toUpperCase() })}
+                                className="flex-shrink-0 w-14 h-12 p-1 bg-white/50 border border-gray-300/50 rounded-xl cursor-pointer"
+                            />
+                        </div>
+                    ) : (
+                        <div className="flex items-center gap-3">
+                            <input {...logoDropzone.getInputProps()} />
+                            {watermark.logoUrl && (
+                                <img src={watermark.logoUrl} alt="" className="flex-shrink-0 w-12 h-12 object-contain bg-gray-200 rounded-lg" />
+                            )}
+                            <span className="flex-grow min-w-0 text-sm text-gray-600 truncate">{watermark.logoName || 'ロゴ画像が選択されていません'}</span>
+                            <button
+                                type="button"
+                                onClick={logoDropzone.open}
+                                className="flex-shrink-0 px-4 py-2 text-sm font-semibold bg-white/80 text-gray-700 rounded-xl border border-gray-300/60 hover:bg-gray-200/60 transition"
+                            >
+                                {watermark.logoUrl ? '変更' : 'PNGを選択'}
+                            </button>
+                        </div>
+                    )}
+                    {logoError && watermark.type === 'logo' && <p className="text-xs text-red-600">※{logoError}</p>}
+                    {[
+                        { key: 'size', label: '大きさ', min: 1, max: 50, unit: '%' },
+                        { key: 'opacity', label: '不透明度', min: 5, max: 100, unit: '%' },
+                        { key: 'margin', label: '余白', min: 0, max: 20, unit: '%' },
+                    ].map(({ key, label, min, max, unit }) => (
+                        <div key={key}>
+                            <div className="flex items-center justify-between text-sm text-gray-600 mb-1">
+                                <label htmlFor={`watermark-${key}`}>{label}</label>
+                                <span>{watermark[key]}{unit}</span>
+                            </div>
+                            <input
+                                id={`watermark-${key}`}
+                                type="range"
+                                min={min}
+                                max={max}
+                                step={1}
+                                value={watermark[key]}
+                                onChange={(e) => updateWatermark({ [key]: parseInt(e.target.value, 10) })}
+                                className="w-full accent-blue-600"
+                            />
+                        </div>
+                    ))}
+                    <p className="text-xs text-gray-500 -mt-2">※大きさ（ロゴは幅、文字は高さ）と余白は、画像の短辺に対する割合です</p>
+                    <div>
+                        <label htmlFor="watermarkPosition" className="block text-sm text-gray-600 mb-1">位置</label>
+                        <select
+                            id="watermarkPosition"
+                            value={watermark.position}
+                            onChange={(e) => updateWatermark({ position: e.target.value })}
+                            className="w-full px-4 py-3 bg-white/50 border border-gray-300/50 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition"
+                        >
+                            {WATERMARK_POSITIONS.map(position => <option key={position.id} value={position.id}>{position.name}</option>)}
+                        </select>
+                    </div>
+                    {watermarkError && <p className="text-xs text-red-600">※{watermarkError}</p>}
+                    <div className="flex items-center gap-2">
+                        <input
+                            type="text"
+                            aria-label="プリセット名"
+                            value={presetName}
+                            onChange={(e) => setPresetName(e.target.value)}
+                            placeholder="プリセット名（例: ○○店ロゴ）"
+                            className="flex-grow min-w-0 px-4 py-2 text-sm bg-white/50 border border-gray-300/50 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition"
+                        />
+                        <button
+                            type="button"
+                            onClick={() => onSavePreset(presetName.trim(), watermark)}
+                            disabled={!presetName.trim() || Boolean(watermarkError)}
+                            className="flex-shrink-0 text-xs font-semibold text-blue-600 hover:underline disabled:text-gray-400 disabled:no-underline disabled:cursor-not-allowed"
+                        >
+                            プリセットとして保存
+                        </button>
+                    </div>
+                    <p className="text-xs text-gray-500 -mt-2">※同じ名前のプリセットは上書きされます。プレビューで仕上がりを確認できます</p>
+                </div>
+            )}
+        </div>
+    );
+};
+
 /**
  * STEP 2: ファイル名設定画面
  */
-const BulkSettingsScreen = ({ onNext, onBack, bulkSettings, setBulkSettings, industryCodes, onConnect, spreadsheetUrl, spreadsheetMode }) => {
+const BulkSettingsScreen = ({ onNext, onBack, bulkSettings, setBulkSettings, industryCodes, onConnect, spreadsheetUrl, spreadsheetMode, industrySizeProfiles, onSaveIndustrySizeProfile, supportedOutputFormats, folderGroups, watermarkPresets, onSaveWatermarkPreset, onDeleteWatermarkPreset }) => {
     const [isModalOpen, setIsModalOpen] = useState(false);
     const [connectionStatus, setConnectionStatus] = useState({ status: 'idle', data: [], message: '' });
 
@@ -691,8 +2599,102 @@ const BulkSettingsScreen = ({ onNext, onBack, bulkSettings, setBulkSettings, ind
         setConnectionStatus(result);
     };
 
+    // 業種変更時に、その業種に紐づく出力サイズがあれば自動で切り替える
+    const handleIndustryChange = (industryCode) => {
+        const sizeSetting = findSizeProfileForIndustry(industryCode, industrySizeProfiles);
+        setBulkSettings(p => ({ ...p, industryCode, ...(sizeSetting || {}) }));
+    };
+
+    const handleSizeProfileChange = (sizeProfileId) => {
+        const profile = SIZE_PROFILES.find(p => p.id === sizeProfileId);
+        setBulkSettings(p => ({
+            ...p,
+            sizeProfileId,
+            // カスタム選択時は直前のサイズを編集の起点として引き継ぐ
+            ...(profile ? { outputWidth: String(profile.width), outputHeight: String(profile.height) } : {}),
+        }));
+    };
+
+    // 「元の形式を維持」では透過に対応した形式（PNG・WebP・AVIF）の元画像のみ透過で出力される
+    const selectedFormat = OUTPUT_FORMATS.find(format => format.id === bulkSettings.outputFormat);
+    const canUseTransparency = bulkSettings.outputFormat === KEEP_ORIGINAL_FORMAT || Boolean(selectedFormat?.supportsAlpha);
+    const isQualityAdjustable = bulkSettings.outputFormat === KEEP_ORIGINAL_FORMAT || Boolean(selectedFormat?.isLossy);
+
+    const handleOutputFormatChange = (outputFormat) => {
+        const format = OUTPUT_FORMATS.find(f => f.id === outputFormat);
+        setBulkSettings(p => ({
+            ...p,
+            outputFormat,
+            // 透過に対応しない形式に切り替えた場合は、余白を単色に戻す
+            ...(p.paddingFill === 'transparent' && format && !format.supportsAlpha ? { paddingFill: DEFAULT_PADDING_FILL } : {}),
+        }));
+    };
+
+    const renditionErrors = validateRenditions(bulkSettings.renditions);
+    const templateErrors = parseFilenameTemplate(bulkSettings.filenameTemplate).errors;
+    // 入力中の設定で1枚目の画像に付くファイル名の例
+    const templateExample = templateErrors.length === 0
+        ? `${buildFilenameFromTemplate(bulkSettings.filenameTemplate, {
+            industryCode: bulkSettings.industryCode || 'hos',
+            submissionId: bulkSettings.submissionId || '12345',
+            date: bulkSettings.date.padEnd(8, '0'),
+            sequence: parseInt(bulkSettings.startSequence, 10) || 1,
+            originalName: 'IMG_0001',
+            width: bulkSettings.outputWidth,
+            height: bulkSettings.outputHeight,
+        })}.${(OUTPUT_FORMATS.find(format => format.id === bulkSettings.outputFormat) || OUTPUT_FORMATS[0]).extension}`
+        : '';
+
+    const updateRendition = (id, changes) => {
+        setBulkSettings(p => ({ ...p, renditions: p.renditions.map(r => (r.id === id ? { ...r, ...changes } : r)) }));
+    };
+
+    const handleAddRendition = (preset) => {
+        let values = {};
+        if (preset?.scale) {
+            // 倍率指定のプリセットは、現在のメインの出力サイズから計算する
+            values = {
+                width: String((parseInt(bulkSettings.outputWidth, 10) || RESIZE_WIDTH) * preset.scale),
+                height: String((parseInt(bulkSettings.outputHeight, 10) || RESIZE_HEIGHT) * preset.scale),
+                fitMode: bulkSettings.fitMode,
+            };
+        } else if (preset) {
+            values = { width: String(preset.width), height: String(preset.height), fitMode: preset.fitMode };
+        }
+        const rendition = createRendition(preset
+            ? { ...values, name: preset.name, quality: preset.quality, suffix: preset.suffix, folder: preset.folder }
+            : { suffix: `_${bulkSettings.renditions.length + 1}` });
+        setBulkSettings(p => ({ ...p, renditions: [...p.renditions, rendition] }));
+    };
+
+    const isCustomSize = bulkSettings.sizeProfileId === CUSTOM_SIZE_PROFILE_ID;
+    const isOutputSizeValid = isValidOutputDimension(bulkSettings.outputWidth) && isValidOutputDimension(bulkSettings.outputHeight);
+    const savedIndustrySize = industrySizeProfiles[bulkSettings.industryCode];
+    const isSavedIndustrySize = savedIndustrySize
+        && savedIndustrySize.sizeProfileId === bulkSettings.sizeProfileId
+        && savedIndustrySize.outputWidth === bulkSettings.outputWidth
+        && savedIndustrySize.outputHeight === bulkSettings.outputHeight;
+
+    // フォルダに分けてドロップされた場合のみ、フォルダごとのグループ分けを選べる
+    const canGroupByFolder = folderGroups.length > 1 || folderGroups.some(group => group.folder);
+    const isGroupingByFolder = canGroupByFolder && bulkSettings.groupByFolder;
+    // グループ分けする場合は、フォルダごとの入稿ID・業種を反映した値で検証する
+    const folderGroupErrors = isGroupingByFolder
+        ? Object.fromEntries(folderGroups.map(group => [group.folder, validateFilenameFields(getGroupSettings(bulkSettings, group.folder))]))
+        : {};
+    const filenameFieldErrors = isGroupingByFolder
+        ? Object.assign({}, ...Object.values(folderGroupErrors))
+        : validateFilenameFields(bulkSettings);
+
+    const updateFolderGroupSettings = (folder, changes) => {
+        setBulkSettings(p => ({
+            ...p,
+            folderGroupSettings: { ...p.folderGroupSettings, [folder]: { ...p.folderGroupSettings[folder], ...changes } },
+        }));
+    };
+
     // 「次へ」ボタンの無効化判定ロジックを更新
-    const isNextDisabled = !bulkSettings.industryCode || !/^\d+$/.test(bulkSettings.submissionId) || !/^\d{8}$/.test(bulkSettings.date) || !/^\d+$/.test(bulkSettings.startSequence);
+    const isNextDisabled = Object.keys(filenameFieldErrors).length > 0 || Boolean(validateWatermark(bulkSettings.watermark)) || !/^\d+$/.test(bulkSettings.startSequence) || !isOutputSizeValid || renditionErrors.length > 0 || templateErrors.length > 0;
 
     return (
         <div className="w-full h-full overflow-y-auto bg-gray-100">
@@ -705,21 +2707,420 @@ const BulkSettingsScreen = ({ onNext, onBack, bulkSettings, setBulkSettings, ind
                         <div className="flex items-center gap-3">
                             <select
                                 value={bulkSettings.industryCode}
-                                onChange={(e) => setBulkSettings(p => ({ ...p, industryCode: e.target.value }))}
+                                onChange={(e) => handleIndustryChange(e.target.value)}
+                                className="flex-grow px-4 py-3 bg-white/50 border border-gray-300/50 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition"
+                            >
+                                <option value="" disabled>業種を選択してください</option>
+                                {industryCodes.map(ic => <option key={ic.code} value={ic.code}>{ic.name} ({ic.code})</option>)}
+                            </select>
+                            <button
+                                onClick={() => setIsModalOpen(true)}
+                                className="flex-shrink-0 flex items-center gap-2 px-4 py-3 bg-white/80 text-gray-800 font-semibold rounded-xl border border-gray-300/60 hover:bg-gray-200/60 transition shadow-sm"
+                                aria-label="業種マスタ連携設定を開く"
+                            >
+                                <Settings size={18} />
+                                <span>業種管理</span>
+                            </button>
+                        </div>
+                    </div>
+                    <div>
+                        <label htmlFor="sizeProfile" className="block text-base font-semibold text-gray-700 mb-3">出力サイズ</label>
+                        <select
+                            id="sizeProfile"
+                            value={bulkSettings.sizeProfileId}
+                            onChange={(e) => handleSizeProfileChange(e.target.value)}
+                            className="w-full px-4 py-3 bg-white/50 border border-gray-300/50 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition"
+                        >
+                            {SIZE_PROFILES.map(profile => (
+                                <option key={profile.id} value={profile.id}>{profile.name} ({profile.width} x {profile.height} px)</option>
+                            ))}
+                            <option value={CUSTOM_SIZE_PROFILE_ID}>カスタム</option>
+                        </select>
+                        <div className="flex items-center gap-3 mt-3">
+                            <input
+                                type="text"
+                                aria-label="出力幅"
+                                value={bulkSettings.outputWidth}
+                                disabled={!isCustomSize}
+                                onChange={(e) => {
+                                    const numericValue = e.target.value.replace(/[^0-9]/g, '');
+                                    setBulkSettings(p => ({ ...p, outputWidth: numericValue }));
+                                }}
+                                className="w-full px-4 py-3 bg-white/50 border border-gray-300/50 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition disabled:bg-gray-200/60 disabled:cursor-not-allowed"
+                            />
+                            <span className="text-gray-500">x</span>
+                            <input
+                                type="text"
+                                aria-label="出力高さ"
+                                value={bulkSettings.outputHeight}
+                                disabled={!isCustomSize}
+                                onChange={(e) => {
+                                    const numericValue = e.target.value.replace(/[^0-9]/g, '');
+                                    setBulkSettings(p => ({ ...p, outputHeight: numericValue }));
+                                }}
+                                className="w-full px-4 py-3 bg-white/50 border border-gray-300/50 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition disabled:bg-gray-200/60 disabled:cursor-not-allowed"
+                            />
+                            <span className="text-gray-500">px</span>
+                        </div>
+                        {!isOutputSizeValid && (
+                            <p className="text-xs text-red-600 mt-2">※幅・高さは1〜{MAX_OUTPUT_DIMENSION}の半角数字で入力してください</p>
+                        )}
+                        <div className="flex items-center justify-between mt-2">
+                            <p className="text-xs text-gray-500">
+                                {isSavedIndustrySize ? '※選択中の業種の既定サイズです' : '※業種を選択すると、紐づいたサイズが自動で選択されます'}
+                            </p>
+                            <button
+                                type="button"
+                                onClick={() => onSaveIndustrySizeProfile(bulkSettings.industryCode, {
+                                    sizeProfileId: bulkSettings.sizeProfileId,
+                                    outputWidth: bulkSettings.outputWidth,
+                                    outputHeight: bulkSettings.outputHeight,
+                                })}
+                                disabled={!bulkSettings.industryCode || !isOutputSizeValid || isSavedIndustrySize}
+                                className="flex-shrink-0 ml-3 text-xs font-semibold text-blue-600 hover:underline disabled:text-gray-400 disabled:no-underline disabled:cursor-not-allowed"
+                            >
+                                この業種の既定サイズにする
+                            </button>
+                        </div>
+                    </div>
+                    <div>
+                        <label htmlFor="fitMode" className="block text-base font-semibold text-gray-700 mb-3">サイズの合わせ方</label>
+                        <select
+                            id="fitMode"
+                            value={bulkSettings.fitMode}
+                            onChange={(e) => setBulkSettings(p => ({ ...p, fitMode: e.target.value }))}
+                            className="w-full px-4 py-3 bg-white/50 border border-gray-300/50 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition"
+                        >
+                            {FIT_MODES.map(mode => <option key={mode.id} value={mode.id}>{mode.name}</option>)}
+                        </select>
+                        <p className="text-xs text-gray-500 mt-2">※確認画面で画像ごとに変更できます</p>
+                    </div>
+                    <div>
+                        <label htmlFor="resampling" className="block text-base font-semibold text-gray-700 mb-3">縮小の方式</label>
+                        <select
+                            id="resampling"
+                            value={bulkSettings.resampling}
+                            onChange={(e) => setBulkSettings(p => ({ ...p, resampling: e.target.value }))}
+                            className="w-full px-4 py-3 bg-white/50 border border-gray-300/50 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition"
+                        >
+                            {RESAMPLING_METHODS.map(method => <option key={method.id} value={method.id}>{method.name}</option>)}
+                        </select>
+                        <p className="text-xs text-gray-500 mt-2">
+                            {bulkSettings.resampling === 'fast'
+                                ? '※最も速く処理できます。毛並みや布地などの細かい模様にモアレが出る場合は、高画質の方式を選んでください（ブラウザによって仕上がりが異なります）'
+                                : '※細かい模様もモアレが出にくく、どのブラウザでも同じ仕上がりになります。枚数が多い場合は「標準」より時間がかかります'}
+                        </p>
+                    </div>
+                    <div>
+                        <label className="flex items-center gap-2 text-base font-semibold text-gray-700 mb-3">
+                            <input
+                                type="checkbox"
+                                checked={bulkSettings.autoTrim}
+                                onChange={(e) => setBulkSettings(p => ({ ...p, autoTrim: e.target.checked }))}
+                                className="w-4 h-4 rounded text-blue-600 focus:ring-blue-500"
+                            />
+                            縁の余白・黒帯を自動でトリミング
+                        </label>
+                        {bulkSettings.autoTrim && (
+                            <div>
+                                <div className="flex items-center justify-between text-sm text-gray-600 mb-1">
+                                    <label htmlFor="autoTrimTolerance">色の差の許容範囲</label>
+                                    <span>{bulkSettings.autoTrimTolerance}%</span>
+                                </div>
+                                <input
+                                    id="autoTrimTolerance"
+                                    type="range"
+                                    min={0}
+                                    max={MAX_AUTO_TRIM_TOLERANCE}
+                                    step={1}
+                                    value={bulkSettings.autoTrimTolerance}
+                                    onChange={(e) => setBulkSettings(p => ({ ...p, autoTrimTolerance: parseInt(e.target.value, 10) }))}
+                                    onDoubleClick={() => setBulkSettings(p => ({ ...p, autoTrimTolerance: DEFAULT_AUTO_TRIM_TOLERANCE }))}
+                                    className="w-full accent-blue-600"
+                                />
+                            </div>
+                        )}
+                        <p className="text-xs text-gray-500 mt-2">※上下左右の縁にある単色の帯（スキャナーの余白や黒帯）を取り除いてから出力サイズに合わせます。許容範囲を広げるとノイズの多い帯も取り除けますが、背景が単色の写真では被写体の周りまで削られることがあります。トリミング済の画像には適用されず、確認画面で画像ごとにオフにできます</p>
+                    </div>
+                    <div>
+                        <label htmlFor="paddingFill" className="block text-base font-semibold text-gray-700 mb-3">余白の塗りつぶし</label>
+                        <div className="flex items-center gap-3">
+                            <select
+                                id="paddingFill"
+                                value={bulkSettings.paddingFill}
+                                onChange={(e) => setBulkSettings(p => ({ ...p, paddingFill: e.target.value }))}
                                 className="flex-grow px-4 py-3 bg-white/50 border border-gray-300/50 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition"
                             >
-                                <option value="" disabled>業種を選択してください</option>
-                                {industryCodes.map(ic => <option key={ic.code} value={ic.code}>{ic.name} ({ic.code})</option>)}
-                            </select>
+                                {PADDING_FILLS.map(fill => (
+                                    <option
+                                        key={fill.id}
+                                        value={fill.id}
+                                        disabled={fill.id === 'transparent' && !canUseTransparency}
+                                    >
+                                        {fill.name}
+                                    </option>
+                                ))}
+                            </select>
+                            {bulkSettings.paddingFill === 'color' && (
+                                <input
+                                    type="color"
+                                    aria-label="余白の色"
+                                    value={bulkSettings.paddingColor}
+                                    onChange={(e) => setBulkSettings(p => ({ ...p, paddingColor: e.target.value.toUpperCase() }))}
+                                    className="flex-shrink-0 w-14 h-12 p-1 bg-white/50 border border-gray-300/50 rounded-xl cursor-pointer"
+                                />
+                            )}
+                        </div>
+                        <p className="text-xs text-gray-500 mt-2">※「透明」は透過に対応した出力形式（PNG・WebP・AVIF）でのみ選択できます</p>
+                    </div>
+                    <div>
+                        <label htmlFor="outputFormat" className="block text-base font-semibold text-gray-700 mb-3">出力形式</label>
+                        <select
+                            id="outputFormat"
+                            value={bulkSettings.outputFormat}
+                            onChange={(e) => handleOutputFormatChange(e.target.value)}
+                            className="w-full px-4 py-3 bg-white/50 border border-gray-300/50 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition"
+                        >
+                            {OUTPUT_FORMATS.map(format => {
+                                const isSupported = supportedOutputFormats?.includes(format.id);
+                                return (
+                                    <option key={format.id} value={format.id} disabled={!isSupported}>
+                                        {format.name}{supportedOutputFormats && !isSupported ? '（このブラウザでは非対応）' : ''}
+                                    </option>
+                                );
+                            })}
+                            <option value={KEEP_ORIGINAL_FORMAT}>元の形式を維持（HEICと、このブラウザで書き出せない形式はJPEG）</option>
+                        </select>
+                    </div>
+                    <div>
+                        <label htmlFor="metadataMode" className="block text-base font-semibold text-gray-700 mb-3">メタデータ（EXIF）</label>
+                        <select
+                            id="metadataMode"
+                            value={bulkSettings.metadataMode}
+                            onChange={(e) => setBulkSettings(p => ({ ...p, metadataMode: e.target.value }))}
+                            className="w-full px-4 py-3 bg-white/50 border border-gray-300/50 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition"
+                        >
+                            {METADATA_MODES.map(mode => <option key={mode.id} value={mode.id}>{mode.name}</option>)}
+                        </select>
+                        {bulkSettings.metadataMode === 'keep' && (
+                            <div className="flex flex-wrap gap-x-4 gap-y-2 mt-3">
+                                {KEPT_METADATA_FIELDS.map(field => (
+                                    <label key={field.id} className="flex items-center gap-2 text-sm text-gray-700">
+                                        <input
+                                            type="checkbox"
+                                            checked={bulkSettings.keptMetadataFields.includes(field.id)}
+                                            onChange={(e) => setBulkSettings(p => ({
+                                                ...p,
+                                                keptMetadataFields: e.target.checked
+                                                    ? [...p.keptMetadataFields, field.id]
+                                                    : p.keptMetadataFields.filter(id => id !== field.id),
+                                            }))}
+                                            className="w-4 h-4 rounded text-blue-600 focus:ring-blue-500"
+                                        />
+                                        {field.name}
+                                    </label>
+                                ))}
+                            </div>
+                        )}
+                        <p className="text-xs text-gray-500 mt-2">
+                            {bulkSettings.metadataMode === 'keep'
+                                ? '※JPEGで出力する画像のみ残せます。位置情報（GPS）は常に削除されます'
+                                : '※撮影日時・カメラ・位置情報（GPS）などはすべて削除されます'}
+                        </p>
+                        <label className="flex items-center gap-2 text-sm text-gray-700 mt-3">
+                            <input
+                                type="checkbox"
+                                checked={bulkSettings.embedSrgbProfile}
+                                onChange={(e) => setBulkSettings(p => ({ ...p, embedSrgbProfile: e.target.checked }))}
+                                className="w-4 h-4 rounded text-blue-600 focus:ring-blue-500"
+                            />
+                            sRGBのカラープロファイルを埋め込む（JPEGのみ・約2.5KB）
+                        </label>
+                        <p className="text-xs text-gray-500 mt-1">※Display P3やAdobe RGBの画像は、埋め込みの有無にかかわらずsRGBに変換して出力します</p>
+                    </div>
+                    <div>
+                        <label className="block text-base font-semibold text-gray-700 mb-3">写真の補正</label>
+                        <AdjustmentSettings
+                            adjustments={bulkSettings.adjustments}
+                            onChange={(adjustments) => setBulkSettings(p => ({ ...p, adjustments }))}
+                            idPrefix="bulkAdjustment"
+                        />
+                        <p className="text-xs text-gray-500 mt-2">※縮小した後の画像に適用します。確認画面で画像ごとに変更でき、プレビューで補正前と比べられます（スライダーはダブルクリックで0に戻ります）</p>
+                    </div>
+                    <WatermarkSettings
+                        watermark={bulkSettings.watermark}
+                        onChange={(watermark) => setBulkSettings(p => ({ ...p, watermark }))}
+                        presets={watermarkPresets}
+                        onSavePreset={onSaveWatermarkPreset}
+                        onDeletePreset={onDeleteWatermarkPreset}
+                    />
+                    <div>
+                        <div className="flex items-center justify-between mb-3">
+                            <label htmlFor="quality" className="text-base font-semibold text-gray-700">画質</label>
+                            <span className="text-sm text-gray-600">{bulkSettings.quality * 10}%</span>
+                        </div>
+                        <input
+                            id="quality"
+                            type="range"
+                            min={1}
+                            max={10}
+                            step={1}
+                            value={bulkSettings.quality}
+                            disabled={!isQualityAdjustable}
+                            onChange={(e) => setBulkSettings(p => ({ ...p, quality: parseInt(e.target.value, 10) }))}
+                            className="w-full accent-blue-600 disabled:opacity-50"
+                        />
+                        {!isQualityAdjustable && (
+                            <p className="text-xs text-gray-500 mt-2">※{selectedFormat?.name}は可逆圧縮のため、画質は指定できません</p>
+                        )}
+                    </div>
+                    <div>
+                        <label htmlFor="maxFileSize" className="block text-base font-semibold text-gray-700 mb-3">ファイルサイズの上限</label>
+                        <div className="flex items-center gap-3">
+                            <input
+                                id="maxFileSize"
+                                type="text"
+                                value={bulkSettings.maxFileSizeKB}
+                                onChange={(e) => {
+                                    const numericValue = e.target.value.replace(/[^0-9]/g, '');
+                                    setBulkSettings(p => ({ ...p, maxFileSizeKB: numericValue }));
+                                }}
+                                placeholder="指定なし"
+                                className="w-full px-4 py-3 bg-white/50 border border-gray-300/50 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition"
+                            />
+                            <span className="text-gray-500">KB</span>
+                        </div>
+                        <div className="flex flex-wrap gap-2 mt-2">
+                            {FILE_SIZE_LIMIT_PRESETS_KB.map(kb => (
+                                <button
+                                    key={kb}
+                                    type="button"
+                                    onClick={() => setBulkSettings(p => ({ ...p, maxFileSizeKB: String(kb) }))}
+                                    className="px-3 py-1 text-xs font-semibold text-gray-700 bg-white/80 border border-gray-300/60 rounded-lg hover:bg-gray-200/60 transition"
+                                >
+                                    {kb}KB
+                                </button>
+                            ))}
+                            <button
+                                type="button"
+                                onClick={() => setBulkSettings(p => ({ ...p, maxFileSizeKB: '' }))}
+                                className="px-3 py-1 text-xs font-semibold text-gray-700 bg-white/80 border border-gray-300/60 rounded-lg hover:bg-gray-200/60 transition"
+                            >
+                                指定なし
+                            </button>
+                        </div>
+                        <p className="text-xs text-gray-500 mt-2">※指定すると、上限に収まる範囲で最も高い画質を画像ごとに自動で選びます</p>
+                    </div>
+                    <div>
+                        <label className="block text-base font-semibold text-gray-700 mb-3">追加の出力サイズ</label>
+                        <div className="space-y-3">
+                            {bulkSettings.renditions.map(rendition => (
+                                <div key={rendition.id} className="p-4 bg-white/50 border border-gray-300/50 rounded-xl space-y-3">
+                                    <div className="flex items-center gap-3">
+                                        <input
+                                            type="text"
+                                            aria-label="名前"
+                                            value={rendition.name}
+                                            onChange={(e) => updateRendition(rendition.id, { name: e.target.value })}
+                                            className="flex-grow px-3 py-2 bg-white/80 border border-gray-300/50 rounded-lg text-sm font-semibold outline-none focus:ring-2 focus:ring-blue-500"
+                                        />
+                                        <button
+                                            type="button"
+                                            onClick={() => setBulkSettings(p => ({ ...p, renditions: p.renditions.filter(r => r.id !== rendition.id) }))}
+                                            className="flex-shrink-0 text-gray-400 hover:text-gray-700 p-1 rounded-full hover:bg-gray-200/60 transition-colors"
+                                            aria-label="追加サイズを削除"
+                                        >
+                                            <X size={18} />
+                                        </button>
+                                    </div>
+                                    <div className="grid grid-cols-2 gap-3 text-sm">
+                                        <label className="flex items-center gap-2">
+                                            <span className="w-14 flex-shrink-0 text-gray-600">サイズ</span>
+                                            <input
+                                                type="text"
+                                                aria-label="幅"
+                                                value={rendition.width}
+                                                onChange={(e) => updateRendition(rendition.id, { width: e.target.value.replace(/[^0-9]/g, '') })}
+                                                className="w-full px-2 py-1.5 bg-white/80 border border-gray-300/50 rounded-lg outline-none focus:ring-2 focus:ring-blue-500"
+                                            />
+                                            <span className="text-gray-500">x</span>
+                                            <input
+                                                type="text"
+                                                aria-label="高さ"
+                                                value={rendition.height}
+                                                onChange={(e) => updateRendition(rendition.id, { height: e.target.value.replace(/[^0-9]/g, '') })}
+                                                className="w-full px-2 py-1.5 bg-white/80 border border-gray-300/50 rounded-lg outline-none focus:ring-2 focus:ring-blue-500"
+                                            />
+                                        </label>
+                                        <label className="flex items-center gap-2">
+                                            <span className="w-14 flex-shrink-0 text-gray-600">画質</span>
+                                            <select
+                                                value={rendition.quality}
+                                                onChange={(e) => updateRendition(rendition.id, { quality: parseInt(e.target.value, 10) })}
+                                                className="w-full px-2 py-1.5 bg-white/80 border border-gray-300/50 rounded-lg outline-none focus:ring-2 focus:ring-blue-500"
+                                            >
+                                                {[10, 9, 8, 7, 6, 5, 4, 3, 2, 1].map(q => <option key={q} value={q}>{q * 10}%</option>)}
+                                            </select>
+                                        </label>
+                                        <label className="flex items-center gap-2 col-span-2">
+                                            <span className="w-14 flex-shrink-0 text-gray-600">合わせ方</span>
+                                            <select
+                                                value={rendition.fitMode}
+                                                onChange={(e) => updateRendition(rendition.id, { fitMode: e.target.value })}
+                                                className="w-full px-2 py-1.5 bg-white/80 border border-gray-300/50 rounded-lg outline-none focus:ring-2 focus:ring-blue-500"
+                                            >
+                                                {FIT_MODES.map(mode => <option key={mode.id} value={mode.id}>{mode.name}</option>)}
+                                            </select>
+                                        </label>
+                                        <label className="flex items-center gap-2">
+                                            <span className="w-14 flex-shrink-0 text-gray-600">接尾辞</span>
+                                            <input
+                                                type="text"
+                                                value={rendition.suffix}
+                                                onChange={(e) => updateRendition(rendition.id, { suffix: e.target.value })}
+                                                placeholder="例: _thumb"
+                                                className="w-full px-2 py-1.5 bg-white/80 border border-gray-300/50 rounded-lg outline-none focus:ring-2 focus:ring-blue-500"
+                                            />
+                                        </label>
+                                        <label className="flex items-center gap-2">
+                                            <span className="w-14 flex-shrink-0 text-gray-600">フォルダ</span>
+                                            <input
+                                                type="text"
+                                                value={rendition.folder}
+                                                onChange={(e) => updateRendition(rendition.id, { folder: e.target.value })}
+                                                placeholder="例: thumb"
+                                                className="w-full px-2 py-1.5 bg-white/80 border border-gray-300/50 rounded-lg outline-none focus:ring-2 focus:ring-blue-500"
+                                            />
+                                        </label>
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                        {renditionErrors.length > 0 && (
+                            <ul className="mt-2 space-y-1">
+                                {renditionErrors.map(error => <li key={error} className="text-xs text-red-600">※{error}</li>)}
+                            </ul>
+                        )}
+                        <div className="flex flex-wrap gap-2 mt-3">
                             <button
-                                onClick={() => setIsModalOpen(true)}
-                                className="flex-shrink-0 flex items-center gap-2 px-4 py-3 bg-white/80 text-gray-800 font-semibold rounded-xl border border-gray-300/60 hover:bg-gray-200/60 transition shadow-sm"
-                                aria-label="業種マスタ連携設定を開く"
+                                type="button"
+                                onClick={() => handleAddRendition(null)}
+                                className="px-3 py-1.5 text-xs font-semibold text-gray-700 bg-white/80 border border-gray-300/60 rounded-lg hover:bg-gray-200/60 transition"
                             >
-                                <Settings size={18} />
-                                <span>業種管理</span>
+                                + 追加
                             </button>
+                            {RENDITION_PRESETS.map(preset => (
+                                <button
+                                    key={preset.id}
+                                    type="button"
+                                    onClick={() => handleAddRendition(preset)}
+                                    className="px-3 py-1.5 text-xs font-semibold text-gray-700 bg-white/80 border border-gray-300/60 rounded-lg hover:bg-gray-200/60 transition"
+                                >
+                                    + {preset.name}
+                                </button>
+                            ))}
                         </div>
+                        <p className="text-xs text-gray-500 mt-2">※メインの画像に加えて、指定したサイズの画像も同じZIPに出力します</p>
                     </div>
                     <div>
                         <label htmlFor="submissionId" className="block text-base font-semibold text-gray-700 mb-3">入稿ID</label>
@@ -749,6 +3150,57 @@ const BulkSettingsScreen = ({ onNext, onBack, bulkSettings, setBulkSettings, ind
                             className="w-full px-4 py-3 bg-white/50 border border-gray-300/50 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition"
                         />
                          <p className="text-xs text-gray-500 mt-2">※YYYYMMDD形式（8桁）で入力してください</p>
+                        <label htmlFor="dateSource" className="block text-sm font-semibold text-gray-700 mt-4 mb-2">ファイル名に使う日付</label>
+                        <select
+                            id="dateSource"
+                            value={bulkSettings.dateSource}
+                            onChange={(e) => setBulkSettings(p => ({ ...p, dateSource: e.target.value }))}
+                            className="w-full px-4 py-3 bg-white/50 border border-gray-300/50 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition"
+                        >
+                            {DATE_SOURCES.map(source => <option key={source.id} value={source.id}>{source.name}</option>)}
+                        </select>
+                        {bulkSettings.dateSource === 'capture' && (
+                            <p className="text-xs text-gray-500 mt-2">※撮影日時が記録されていない画像には、上の日付を使います</p>
+                        )}
+                    </div>
+                    <div>
+                        <label htmlFor="filenameTemplate" className="block text-base font-semibold text-gray-700 mb-3">ファイル名のルール</label>
+                        <input
+                            id="filenameTemplate"
+                            type="text"
+                            value={bulkSettings.filenameTemplate}
+                            onChange={(e) => setBulkSettings(p => ({ ...p, filenameTemplate: e.target.value }))}
+                            className={`w-full px-4 py-3 bg-white/50 border rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition font-mono text-sm ${templateErrors.length > 0 ? 'border-red-400' : 'border-gray-300/50'}`}
+                        />
+                        <div className="flex flex-wrap gap-2 mt-2">
+                            {FILENAME_TEMPLATE_TOKENS.map(({ token, description }) => (
+                                <button
+                                    key={token}
+                                    type="button"
+                                    title={description}
+                                    onClick={() => setBulkSettings(p => ({ ...p, filenameTemplate: p.filenameTemplate + token }))}
+                                    className="px-2 py-1 text-xs font-mono text-gray-700 bg-white/80 border border-gray-300/60 rounded-lg hover:bg-gray-200/60 transition"
+                                >
+                                    {token}
+                                </button>
+                            ))}
+                            {bulkSettings.filenameTemplate !== DEFAULT_FILENAME_TEMPLATE && (
+                                <button
+                                    type="button"
+                                    onClick={() => setBulkSettings(p => ({ ...p, filenameTemplate: DEFAULT_FILENAME_TEMPLATE }))}
+                                    className="px-2 py-1 text-xs font-semibold text-blue-600 hover:underline"
+                                >
+                                    初期値に戻す
+                                </button>
+                            )}
+                        </div>
+                        {templateErrors.length > 0 ? (
+                            <ul className="mt-2 space-y-1">
+                                {templateErrors.map(error => <li key={error} className="text-xs text-red-600">※{error}</li>)}
+                            </ul>
+                        ) : (
+                            <p className="text-xs text-gray-500 mt-2">例: <span className="font-mono text-gray-700">{templateExample}</span></p>
+                        )}
                     </div>
                     <div>
                         <label htmlFor="startSequence" className="block text-base font-semibold text-gray-700 mb-3">連番開始番号</label>
@@ -765,6 +3217,70 @@ const BulkSettingsScreen = ({ onNext, onBack, bulkSettings, setBulkSettings, ind
                         />
                         <p className="text-xs text-gray-500 mt-2">※デフォルトは1です。半角数字で入力してください。</p>
                     </div>
+                    {canGroupByFolder && (
+                        <div>
+                            <label className="flex items-center gap-2 text-base font-semibold text-gray-700">
+                                <input
+                                    type="checkbox"
+                                    checked={bulkSettings.groupByFolder}
+                                    onChange={(e) => setBulkSettings(p => ({ ...p, groupByFolder: e.target.checked }))}
+                                    className="w-4 h-4 rounded text-blue-600 focus:ring-blue-500"
+                                />
+                                サブフォルダごとに別の入稿として扱う
+                            </label>
+                            <p className="text-xs text-gray-500 mt-2">※フォルダごとに入稿ID・業種を設定でき、連番はフォルダごとに開始番号から振り直します。空欄の場合は上の設定を使います。</p>
+                            {isGroupingByFolder && (
+                                <div className="mt-4 space-y-3">
+                                    {folderGroups.map(group => {
+                                        const groupSettings = bulkSettings.folderGroupSettings[group.folder] || {};
+                                        const groupErrors = folderGroupErrors[group.folder];
+                                        return (
+                                            <div key={group.folder} className="p-3 bg-white/50 border border-gray-300/50 rounded-xl">
+                                                <p className="flex items-center text-sm font-semibold text-gray-700 mb-2 min-w-0">
+                                                    <Folder size={16} className="mr-2 flex-shrink-0 text-gray-500" />
+                                                    <span className="truncate" title={group.folder}>{group.folder || '（フォルダなし）'}</span>
+                                                    <span className="ml-2 flex-shrink-0 text-xs font-normal text-gray-500">{group.count}枚</span>
+                                                </p>
+                                                <div className="flex items-center gap-2">
+                                                    <input
+                                                        type="text"
+                                                        aria-label={`${group.folder || 'フォルダなし'}の入稿ID`}
+                                                        value={groupSettings.submissionId || ''}
+                                                        onChange={(e) => updateFolderGroupSettings(group.folder, { submissionId: e.target.value.replace(/[^0-9]/g, '') })}
+                                                        placeholder={bulkSettings.submissionId ? `入稿ID（${bulkSettings.submissionId}）` : '入稿ID'}
+                                                        className="w-full px-3 py-2 text-sm bg-white/50 border border-gray-300/50 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition"
+                                                    />
+                                                    <select
+                                                        aria-label={`${group.folder || 'フォルダなし'}の業種`}
+                                                        value={groupSettings.industryCode || ''}
+                                                        onChange={(e) => updateFolderGroupSettings(group.folder, { industryCode: e.target.value })}
+                                                        className="w-full px-3 py-2 text-sm bg-white/50 border border-gray-300/50 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition"
+                                                    >
+                                                        <option value="">業種: 上の設定と同じ</option>
+                                                        {industryCodes.map(ic => <option key={ic.code} value={ic.code}>{ic.name} ({ic.code})</option>)}
+                                                    </select>
+                                                </div>
+                                                {(groupErrors.submissionId || groupErrors.industryCode) && (
+                                                    <p className="text-xs text-red-600 mt-2">※{groupErrors.submissionId || groupErrors.industryCode}</p>
+                                                )}
+                                            </div>
+                                        );
+                                    })}
+                                    <div>
+                                        <label htmlFor="folderGroupOutput" className="block text-sm font-semibold text-gray-700 mb-2">ZIPの出力方法</label>
+                                        <select
+                                            id="folderGroupOutput"
+                                            value={bulkSettings.folderGroupOutput}
+                                            onChange={(e) => setBulkSettings(p => ({ ...p, folderGroupOutput: e.target.value }))}
+                                            className="w-full px-4 py-3 bg-white/50 border border-gray-300/50 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition"
+                                        >
+                                            {FOLDER_GROUP_OUTPUTS.map(output => <option key={output.id} value={output.id}>{output.name}</option>)}
+                                        </select>
+                                    </div>
+                                </div>
+                            )}
+                        </div>
+                    )}
                 </div>
                 <div className="flex justify-between mt-10">
                     <button 
@@ -801,28 +3317,124 @@ const BulkSettingsScreen = ({ onNext, onBack, bulkSettings, setBulkSettings, ind
 /**
  * STEP 3: 確認画面
  */
-const ConfirmEditScreen = ({ images, setImages, onProcess, onBack, industryCodes, bulkSettings, resizeWithPadding }) => {
+const ConfirmEditScreen = ({ images, setImages, processingLimits, onAddFiles, onRemoveImages, onReplaceImage, setErrors, onProcess, onBack, industryCodes, bulkSettings, processImage }) => {
     const [selectedImageId, setSelectedImageId] = useState(null);
     // === ▼▼▼【新規追加】プレビューモーダル用のState ▼▼▼ ===
     const [isModalOpen, setIsModalOpen] = useState(false);
     const [previewingImageIndex, setPreviewingImageIndex] = useState(0);
     // === ▲▲▲【新規追加】プレビューモーダル用のState ▲▲▲ ===
+    const [isCropEditorOpen, setIsCropEditorOpen] = useState(false);
+    // ドラッグ＆ドロップでの並べ替え用
+    const [draggingImageId, setDraggingImageId] = useState(null);
+    const [dropTargetImageId, setDropTargetImageId] = useState(null);
+    // 「重複ではない」とされたグループ（画像IDを連結したキー）
+    const [dismissedDuplicateKeys, setDismissedDuplicateKeys] = useState([]);
 
 
     useEffect(() => {
-        if (images.length > 0 && !selectedImageId) {
+        // 未選択の場合や、選択中の画像が削除された場合は先頭の画像を選択する
+        if (images.length > 0 && !images.some(img => img.id === selectedImageId)) {
             setSelectedImageId(images[0].id);
         }
     }, [images, selectedImageId]);
 
+    const onDropAdd = useCallback((acceptedFiles, fileRejections) => {
+        const currentErrors = validateDroppedFiles(acceptedFiles, fileRejections, processingLimits, images.length);
+        if (currentErrors.length > 0) {
+            setErrors(currentErrors);
+            return;
+        }
+        if (acceptedFiles.length > 0) {
+            onAddFiles(acceptedFiles);
+        }
+    }, [images.length, processingLimits, onAddFiles, setErrors]);
+
+    const onDropReplace = useCallback((acceptedFiles, fileRejections) => {
+        const currentErrors = validateDroppedFiles(acceptedFiles, fileRejections, processingLimits, images.length - 1);
+        if (currentErrors.length > 0) {
+            setErrors(currentErrors);
+            return;
+        }
+        if (acceptedFiles.length > 0) {
+            onReplaceImage(selectedImageId, acceptedFiles[0]);
+        }
+    }, [images.length, processingLimits, selectedImageId, onReplaceImage, setErrors]);
+
+    // 一覧へのファイルのドロップ、または「画像を追加」ボタンで画像を追加する
+    const addDropzone = useDropzone({
+        onDrop: onDropAdd,
+        accept: ACCEPTED_IMAGE_TYPES,
+        maxSize: processingLimits.maxFileSizeMB * 1024 * 1024,
+        noClick: true,
+        noKeyboard: true,
+    });
+    const replaceDropzone = useDropzone({
+        onDrop: onDropReplace,
+        accept: ACCEPTED_IMAGE_TYPES,
+        maxSize: processingLimits.maxFileSizeMB * 1024 * 1024,
+        multiple: false,
+        noClick: true,
+        noKeyboard: true,
+        noDrag: true,
+    });
+
     const selectedImage = images.find(img => img.id === selectedImageId);
+    const selectedErrors = selectedImage ? validateFilenameFields(selectedImage) : {};
+    const invalidImageCount = images.filter(img => Object.keys(validateFilenameFields(img)).length > 0).length;
+    // 重複の判定はID・知覚ハッシュ・内容のハッシュだけで決まるため、これらが変わったときだけ計算し直す（入力のたびに計算しない）
+    const duplicateHashKey = JSON.stringify(images.map(image => [image.id, image.perceptualHash?.toString(16) ?? null, image.contentHash ?? null]));
+    const allDuplicateGroups = useMemo(() => findDuplicateGroups(
+        JSON.parse(duplicateHashKey).map(([id, perceptualHash, contentHash]) => ({
+            id,
+            perceptualHash: perceptualHash === null ? null : BigInt(`0x${perceptualHash}`),
+            contentHash: contentHash ?? undefined,
+        }))
+    ), [duplicateHashKey]);
+    const duplicateGroups = allDuplicateGroups
+        .map(group => ({ ...group, key: group.imageIds.join('|') }))
+        .filter(group => !dismissedDuplicateKeys.includes(group.key));
+    const duplicateImageIds = duplicateGroups.flatMap(group => group.imageIds);
+
+    // グループのうち指定した1枚だけを残し、ほかを削除する
+    const handleKeepOne = (group, keepImageId) => {
+        onRemoveImages(group.imageIds.filter(id => id !== keepImageId));
+    };
+
+    // 選択中の画像の設定を部分的に更新する
+    const updateSelectedImage = (changes) => {
+        setImages(imgs => imgs.map(img => (img.id === selectedImageId ? { ...img, ...changes } : img)));
+    };
     
-    const generateNewFilename = (image) => {
+    // 並び順が連番になるため、並べ替えるとファイル名もそのまま更新される
+    const handleSort = (orderId) => setImages(imgs => sortImages(imgs, orderId));
+    const handleReverse = () => setImages(imgs => [...imgs].reverse());
+
+    const handleDragEnd = () => {
+        setDraggingImageId(null);
+        setDropTargetImageId(null);
+    };
+
+    const handleDrop = (targetImageId) => {
+        if (draggingImageId && draggingImageId !== targetImageId) {
+            setImages(imgs => moveItem(
+                imgs,
+                imgs.findIndex(img => img.id === draggingImageId),
+                imgs.findIndex(img => img.id === targetImageId),
+            ));
+        }
+        handleDragEnd();
+    };
+
+    // 「一括設定に戻す」で戻す値（フォルダごとの設定・撮影日を含む）
+    const selectedGroupSettings = selectedImage ? getImageBulkValues(selectedImage, bulkSettings) : bulkSettings;
+    const selectedCaptureDate = selectedImage ? getCaptureDate(selectedImage) : '';
+    const selectedMetadata = selectedImage?.metadata;
+
+    const sequenceNumbers = useMemo(() => getSequenceNumbers(images, bulkSettings), [images, bulkSettings]);
+
+    const generateNewFilename = (image, rendition = null) => {
         if (!image) return ''; // imageが未定義の場合のガード
-        const startSequenceNumber = parseInt(bulkSettings.startSequence, 10) || 1;
-        const sequence = String(images.findIndex(img => img.id === image.id) + startSequenceNumber).padStart(2, '0');
-        const extension = 'jpg';
-        return `${image.industryCode}_${image.submissionId}_${image.date}_${sequence}.${extension}`;
+        return getImageOutputPath(bulkSettings, image, sequenceNumbers.get(image.id), rendition);
     };
 
     // === ▼▼▼【新規追加】プレビュー操作用のハンドラ ▼▼▼ ===
@@ -848,26 +3460,182 @@ const ConfirmEditScreen = ({ images, setImages, onProcess, onBack, industryCodes
     return (
         <div className="w-full flex-grow flex flex-col bg-gray-100 overflow-hidden min-h-0">
             <main className="flex-grow flex flex-col md:flex-row min-h-0 overflow-hidden">
-                <div className="flex-1 border-b md:border-b-0 md:border-r border-gray-200/80 overflow-y-auto p-4 space-y-3 min-h-0">
-                    <p className="text-sm text-gray-500 px-2 pb-2">ファイル一覧 ({images.length}件)</p>
+                <div
+                    {...addDropzone.getRootProps()}
+                    className={`flex-1 border-b md:border-b-0 md:border-r border-gray-200/80 overflow-y-auto p-4 space-y-3 min-h-0 ${addDropzone.isDragActive ? 'bg-blue-50 ring-2 ring-inset ring-blue-400' : ''}`}
+                >
+                    <input {...addDropzone.getInputProps()} />
+                    <div className="flex flex-wrap items-center justify-between gap-2 px-2 pb-2">
+                        <p className="text-sm text-gray-500">ファイル一覧 ({images.length}/{processingLimits.maxFileCount}件)</p>
+                        <div className="flex items-center gap-2">
+                            <button
+                                type="button"
+                                onClick={addDropzone.open}
+                                disabled={images.length >= processingLimits.maxFileCount}
+                                className="flex items-center gap-1 px-3 py-1.5 text-sm font-semibold bg-white/70 text-gray-700 rounded-lg border border-gray-300/60 hover:bg-gray-200/60 transition disabled:opacity-50 disabled:cursor-not-allowed"
+                            >
+                                <Plus size={16} />
+                                <span>画像を追加</span>
+                            </button>
+                            <select
+                                value=""
+                                onChange={(e) => handleSort(e.target.value)}
+                                aria-label="並べ替え"
+                                className="px-3 py-1.5 text-sm bg-white/70 border border-gray-300/60 rounded-lg outline-none focus:ring-2 focus:ring-blue-500"
+                            >
+                                <option value="" disabled>並べ替え</option>
+                                {IMAGE_SORT_ORDERS.map(order => <option key={order.id} value={order.id}>{order.name}</option>)}
+                            </select>
+                            <button
+                                type="button"
+                                onClick={handleReverse}
+                                title="逆順にする"
+                                aria-label="逆順にする"
+                                className="p-1.5 bg-white/70 text-gray-700 rounded-lg border border-gray-300/60 hover:bg-gray-200/60 transition"
+                            >
+                                <ArrowUpDown size={18} />
+                            </button>
+                        </div>
+                    </div>
+                    {duplicateGroups.length > 0 && (
+                        <div className="mx-2 p-4 bg-amber-50 border border-amber-200 rounded-2xl space-y-3">
+                            <p className="flex items-center gap-2 text-sm font-semibold text-amber-800">
+                                <AlertCircle size={18} className="flex-shrink-0" />
+                                同じ写真の可能性がある画像が{duplicateGroups.length}組あります
+                            </p>
+                            {duplicateGroups.map(group => (
+                                <div key={group.key} className="p-3 bg-white/70 rounded-xl">
+                                    <div className="flex items-center justify-between mb-2">
+                                        <span className="text-xs font-semibold text-gray-600">
+                                            {group.exact ? '同一のファイル' : '見た目がほぼ同じ画像'}（{group.imageIds.length}枚）
+                                        </span>
+                                        <button
+                                            type="button"
+                                            onClick={() => setDismissedDuplicateKeys(keys => [...keys, group.key])}
+                                            className="text-xs font-semibold text-gray-500 hover:underline"
+                                        >
+                                            重複ではない
+                                        </button>
+                                    </div>
+                                    <div className="flex flex-wrap gap-3">
+                                        {group.imageIds.map(id => images.find(img => img.id === id)).map(image => (
+                                            <div key={image.id} className="w-24 text-center">
+                                                <div className="w-24 h-24 rounded-lg bg-gray-100/80 overflow-hidden">
+                                                    <img src={image.thumbnailUrl} alt={image.file.name} style={{ transform: getThumbnailTransform(image) }} className="w-full h-full object-contain" />
+                                                </div>
+                                                <p className="text-xs text-gray-500 truncate mt-1" title={image.file.name}>{image.file.name}</p>
+                                                <button
+                                                    type="button"
+                                                    onClick={() => handleKeepOne(group, image.id)}
+                                                    className="mt-1 w-full px-2 py-1 text-xs font-semibold text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition"
+                                                >
+                                                    これを残す
+                                                </button>
+                                            </div>
+                                        ))}
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                    <p className="text-xs text-gray-500 px-2 -mt-1 pb-1">※ドラッグして順番を入れ替えられます。並び順がそのまま連番になります。ファイルをここにドロップすると追加できます</p>
                     {images.map(image => (
                         <div
                             key={image.id}
+                            draggable
+                            onDragStart={(e) => {
+                                e.dataTransfer.effectAllowed = 'move';
+                                // Firefoxではデータを設定しないとドラッグが開始されない
+                                e.dataTransfer.setData('text/plain', image.id);
+                                setDraggingImageId(image.id);
+                            }}
+                            onDragOver={(e) => {
+                                if (!draggingImageId) return;
+                                e.preventDefault();
+                                setDropTargetImageId(image.id);
+                            }}
+                            onDrop={(e) => {
+                                e.preventDefault();
+                                handleDrop(image.id);
+                            }}
+                            onDragEnd={handleDragEnd}
                             onClick={() => setSelectedImageId(image.id)}
                             className={`flex items-center p-3 space-x-4 border rounded-2xl cursor-pointer transition-all duration-200
                                 ${selectedImageId === image.id 
                                     ? 'bg-white/80 shadow-lg border-blue-500' 
                                     : 'bg-white/40 border-transparent hover:shadow-md hover:bg-white/60'
-                                }`}
+                                }
+                                ${draggingImageId === image.id ? 'opacity-40' : ''}
+                                ${dropTargetImageId === image.id && draggingImageId !== image.id ? 'ring-2 ring-blue-400' : ''}`}
                         >
-                            <img src={image.thumbnailUrl} alt={image.file.name} className="w-16 h-16 sm:w-20 sm:h-20 object-contain rounded-lg bg-gray-100/80 flex-shrink-0" />
+                            <GripVertical size={18} className="flex-shrink-0 text-gray-400 cursor-grab" aria-hidden="true" />
+                            <div className="w-16 h-16 sm:w-20 sm:h-20 rounded-lg bg-gray-100/80 flex-shrink-0 overflow-hidden">
+                                <img src={image.thumbnailUrl} alt={image.file.name} style={{ transform: getThumbnailTransform(image) }} className="w-full h-full object-contain" />
+                            </div>
                             <div className="flex-grow min-w-0">
-                                <p className="text-xs text-gray-500 truncate" title={image.file.name}>{image.file.name}</p>
-                                <p className="font-bold text-sm text-blue-600 truncate" title={generateNewFilename(image)}>{generateNewFilename(image)}</p>
-                                <p className="text-xs text-gray-500 mt-1">出力サイズ: {RESIZE_WIDTH} x {RESIZE_HEIGHT} px</p>
+                                <p className="text-xs text-gray-500 truncate" title={image.folder ? `${image.folder}/${image.file.name}` : image.file.name}>
+                                    {image.folder && <Folder size={12} className="inline mr-1 -mt-0.5" />}
+                                    {image.folder ? `${image.folder}/${image.file.name}` : image.file.name}
+                                </p>
+                                <div className="flex items-center gap-2 min-w-0">
+                                    <p className="font-bold text-sm text-blue-600 truncate" title={generateNewFilename(image)}>{generateNewFilename(image)}</p>
+                                    {getOverriddenFields(image, bulkSettings).length > 0 && (
+                                        <span className="flex-shrink-0 px-2 py-0.5 rounded-full bg-amber-100 text-amber-700 text-xs font-semibold">個別設定</span>
+                                    )}
+                                    {image.colorProfile && !image.colorProfile.isSrgb && (
+                                        <span
+                                            className="flex-shrink-0 px-2 py-0.5 rounded-full bg-purple-100 text-purple-700 text-xs font-semibold"
+                                            title={image.colorProfile.conversion
+                                                ? `${image.colorProfile.name || 'sRGB以外'}のカラープロファイルを、加工時にsRGBへ変換します`
+                                                : `${image.colorProfile.name || 'sRGB以外'}のカラープロファイルは変換に対応していないため、そのまま加工します`}
+                                        >
+                                            {image.colorProfile.conversion ? '色空間を変換' : '色空間: 未対応'}
+                                        </span>
+                                    )}
+                                    {duplicateImageIds.includes(image.id) && (
+                                        <span className="flex-shrink-0 px-2 py-0.5 rounded-full bg-amber-100 text-amber-700 text-xs font-semibold">重複?</span>
+                                    )}
+                                    {Object.keys(validateFilenameFields(image)).length > 0 && (
+                                        <AlertCircle size={16} className="flex-shrink-0 text-red-500" aria-label="入力内容に誤りがあります" />
+                                    )}
+                                </div>
+                                <p className="text-xs text-gray-500 mt-1">
+                                    出力サイズ: {image.outputWidth} x {image.outputHeight} px
+                                    <span className={getOverriddenFields(image, bulkSettings).includes('fitMode') ? 'ml-2 text-amber-600 font-semibold' : 'ml-2'}>
+                                        {FIT_MODES.find(mode => mode.id === image.fitMode)?.name}
+                                    </span>
+                                    {image.crop && <span className="ml-2 text-amber-600 font-semibold">トリミング済</span>}
+                                    {!image.crop && (image.autoTrim || getOverriddenFields(image, bulkSettings).includes('autoTrim')) && (
+                                        <span className={getOverriddenFields(image, bulkSettings).includes('autoTrim') ? 'ml-2 text-amber-600 font-semibold' : 'ml-2'}>
+                                            {image.autoTrim ? '自動トリミング' : '自動トリミングなし'}
+                                        </span>
+                                    )}
+                                    {hasAdjustments(image.adjustments) && <span className="ml-2 text-amber-600 font-semibold">補正あり</span>}
+                                    {image.redactions.length > 0 && <span className="ml-2 text-amber-600 font-semibold">隠す範囲 {image.redactions.length}件</span>}
+                                </p>
+                                {bulkSettings.renditions.length > 0 && (
+                                    <p className="text-xs text-gray-500 truncate">
+                                        追加サイズ: {bulkSettings.renditions.map(r => `${r.width}x${r.height}`).join(', ')}
+                                    </p>
+                                )}
                             </div>
+                            <button
+                                type="button"
+                                onClick={(e) => {
+                                    e.stopPropagation();
+                                    onRemoveImages([image.id]);
+                                }}
+                                title="この画像を削除"
+                                aria-label="この画像を削除"
+                                className="flex-shrink-0 p-2 text-gray-400 rounded-lg hover:text-red-600 hover:bg-red-50 transition"
+                            >
+                                <Trash2 size={18} />
+                            </button>
                         </div>
                     ))}
+                    {images.length === 0 && (
+                        <p className="text-gray-500 text-center mt-10">画像がありません。「画像を追加」から追加してください</p>
+                    )}
                 </div>
 
                 <div className="w-full md:w-2/5 flex flex-col bg-white/30 flex-shrink-0">
@@ -875,37 +3643,211 @@ const ConfirmEditScreen = ({ images, setImages, onProcess, onBack, industryCodes
                         <h3 className="text-xl font-semibold text-gray-800 pb-2">選択中画像の確認</h3>
                         {selectedImage ? (
                             <div className="space-y-6">
-                                <div className="bg-gray-100 p-3 rounded-xl">
-                                    <p className="text-xs font-semibold text-gray-600">元ファイル名</p>
-                                    <p className="text-sm text-gray-800 truncate mt-1">{selectedImage.file.name}</p>
+                                <div className="bg-gray-100 p-3 rounded-xl flex items-center gap-3">
+                                    <div className="flex-grow min-w-0">
+                                        <p className="text-xs font-semibold text-gray-600">元ファイル名</p>
+                                        <p className="text-sm text-gray-800 truncate mt-1">{selectedImage.file.name}</p>
+                                    </div>
+                                    <input {...replaceDropzone.getInputProps()} />
+                                    <button
+                                        type="button"
+                                        onClick={replaceDropzone.open}
+                                        title="並び順と個別設定はそのままで、元の画像だけを差し替えます"
+                                        className="flex-shrink-0 flex items-center gap-1 px-3 py-2 text-xs font-semibold bg-white/80 text-gray-700 rounded-lg border border-gray-300/60 hover:bg-gray-200/60 transition"
+                                    >
+                                        <RefreshCw size={14} />
+                                        <span>差し替え</span>
+                                    </button>
                                 </div>
                                 <div>
-                                    <label className="block text-base font-semibold text-gray-700 mb-3">業種</label>
-                                    <input
-                                        type="text"
-                                        disabled
-                                        value={industryCodes.find(ic => ic.code === selectedImage.industryCode)?.name + ` (${selectedImage.industryCode})` || selectedImage.industryCode}
-                                        className="w-full px-4 py-3 bg-gray-200/60 border border-gray-300/50 rounded-xl outline-none cursor-not-allowed"
-                                    />
+                                    <label htmlFor="imageIndustryCode" className="block text-base font-semibold text-gray-700 mb-3">業種</label>
+                                    <select
+                                        id="imageIndustryCode"
+                                        value={selectedImage.industryCode}
+                                        onChange={(e) => updateSelectedImage({ industryCode: e.target.value })}
+                                        className={`w-full px-4 py-3 bg-white/50 border rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition ${selectedErrors.industryCode ? 'border-red-400' : 'border-gray-300/50'}`}
+                                    >
+                                        <option value="" disabled>業種を選択してください</option>
+                                        {industryCodes.map(ic => <option key={ic.code} value={ic.code}>{ic.name} ({ic.code})</option>)}
+                                    </select>
+                                    {selectedErrors.industryCode && <p className="text-xs text-red-600 mt-2">{selectedErrors.industryCode}</p>}
+                                    {selectedImage.industryCode !== selectedGroupSettings.industryCode && (
+                                        <button
+                                            type="button"
+                                            onClick={() => updateSelectedImage({ industryCode: selectedGroupSettings.industryCode })}
+                                            className="mt-2 text-xs font-semibold text-blue-600 hover:underline"
+                                        >
+                                            一括設定に戻す
+                                        </button>
+                                    )}
                                 </div>
                                 <div>
-                                    <label className="block text-base font-semibold text-gray-700 mb-3">入稿ID</label>
+                                    <label htmlFor="imageSubmissionId" className="block text-base font-semibold text-gray-700 mb-3">入稿ID</label>
                                     <input
+                                        id="imageSubmissionId"
                                         type="text"
-                                        disabled
                                         value={selectedImage.submissionId}
-                                        className="w-full px-4 py-3 bg-gray-200/60 border border-gray-300/50 rounded-xl outline-none cursor-not-allowed"
+                                        onChange={(e) => updateSelectedImage({ submissionId: e.target.value.replace(/[^0-9]/g, '') })}
+                                        className={`w-full px-4 py-3 bg-white/50 border rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition ${selectedErrors.submissionId ? 'border-red-400' : 'border-gray-300/50'}`}
                                     />
+                                    {selectedErrors.submissionId && <p className="text-xs text-red-600 mt-2">{selectedErrors.submissionId}</p>}
+                                    {selectedImage.submissionId !== selectedGroupSettings.submissionId && (
+                                        <button
+                                            type="button"
+                                            onClick={() => updateSelectedImage({ submissionId: selectedGroupSettings.submissionId })}
+                                            className="mt-2 text-xs font-semibold text-blue-600 hover:underline"
+                                        >
+                                            一括設定に戻す
+                                        </button>
+                                    )}
                                 </div>
-                                 <div>
-                                    <label className="block text-base font-semibold text-gray-700 mb-3">日付</label>
+                                <div>
+                                    <label htmlFor="imageDate" className="block text-base font-semibold text-gray-700 mb-3">日付</label>
                                     <input
+                                        id="imageDate"
                                         type="text"
-                                        disabled
                                         value={selectedImage.date}
-                                        className="w-full px-4 py-3 bg-gray-200/60 border border-gray-300/50 rounded-xl outline-none cursor-not-allowed"
+                                        onChange={(e) => updateSelectedImage({ date: e.target.value.replace(/[^0-9]/g, '').slice(0, 8) })}
+                                        className={`w-full px-4 py-3 bg-white/50 border rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition ${selectedErrors.date ? 'border-red-400' : 'border-gray-300/50'}`}
+                                    />
+                                    {selectedErrors.date && <p className="text-xs text-red-600 mt-2">{selectedErrors.date}</p>}
+                                    <div className="flex gap-4">
+                                        {selectedImage.date !== selectedGroupSettings.date && (
+                                            <button
+                                                type="button"
+                                                onClick={() => updateSelectedImage({ date: selectedGroupSettings.date })}
+                                                className="mt-2 text-xs font-semibold text-blue-600 hover:underline"
+                                            >
+                                                一括設定に戻す
+                                            </button>
+                                        )}
+                                        {selectedCaptureDate && selectedImage.date !== selectedCaptureDate && (
+                                            <button
+                                                type="button"
+                                                onClick={() => updateSelectedImage({ date: selectedCaptureDate })}
+                                                className="mt-2 text-xs font-semibold text-blue-600 hover:underline"
+                                            >
+                                                撮影日（{selectedCaptureDate}）を使う
+                                            </button>
+                                        )}
+                                    </div>
+                                </div>
+                                <div>
+                                    <label htmlFor="imageFitMode" className="block text-base font-semibold text-gray-700 mb-3">サイズの合わせ方</label>
+                                    <select
+                                        id="imageFitMode"
+                                        value={selectedImage.fitMode}
+                                        onChange={(e) => updateSelectedImage({ fitMode: e.target.value })}
+                                        className="w-full px-4 py-3 bg-white/50 border border-gray-300/50 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition"
+                                    >
+                                        {FIT_MODES.map(mode => <option key={mode.id} value={mode.id}>{mode.name}</option>)}
+                                    </select>
+                                    {selectedImage.fitMode !== selectedGroupSettings.fitMode && (
+                                        <button
+                                            type="button"
+                                            onClick={() => updateSelectedImage({ fitMode: selectedGroupSettings.fitMode })}
+                                            className="mt-2 text-xs font-semibold text-blue-600 hover:underline"
+                                        >
+                                            一括設定に戻す
+                                        </button>
+                                    )}
+                                </div>
+                                <div>
+                                    <label className="block text-base font-semibold text-gray-700 mb-3">向き・傾き</label>
+                                    <div className="grid grid-cols-4 gap-2">
+                                        {[
+                                            { label: '左に90°回転', icon: <RotateCcw size={18} />, changes: { rotation: (selectedImage.rotation + 270) % 360 } },
+                                            { label: '右に90°回転', icon: <RotateCw size={18} />, changes: { rotation: (selectedImage.rotation + 90) % 360 } },
+                                            { label: '左右反転', icon: <FlipHorizontal size={18} />, changes: { flipHorizontal: !selectedImage.flipHorizontal } },
+                                            { label: '上下反転', icon: <FlipVertical size={18} />, changes: { flipVertical: !selectedImage.flipVertical } },
+                                        ].map(({ label, icon, changes }) => (
+                                            <button
+                                                key={label}
+                                                // 画像の向きが変わるとトリミング範囲が合わなくなるため解除する
+                                                onClick={() => updateSelectedImage({ ...changes, crop: null })}
+                                                title={label}
+                                                aria-label={label}
+                                                className="flex items-center justify-center py-3 bg-white/80 text-gray-700 rounded-xl border border-gray-300/60 hover:bg-gray-200/60 transition shadow-sm"
+                                            >
+                                                {icon}
+                                            </button>
+                                        ))}
+                                    </div>
+                                    <div className="mt-4">
+                                        <div className="flex items-center justify-between text-sm text-gray-600 mb-1">
+                                            <label htmlFor="straighten">傾き補正</label>
+                                            <span>{selectedImage.straighten.toFixed(1)}°</span>
+                                        </div>
+                                        <input
+                                            id="straighten"
+                                            type="range"
+                                            min={-STRAIGHTEN_LIMIT}
+                                            max={STRAIGHTEN_LIMIT}
+                                            step={0.1}
+                                            value={selectedImage.straighten}
+                                            onChange={(e) => updateSelectedImage({ straighten: parseFloat(e.target.value) })}
+                                            className="w-full accent-blue-600"
+                                        />
+                                    </div>
+                                    {(selectedImage.rotation !== 0 || selectedImage.flipHorizontal || selectedImage.flipVertical || selectedImage.straighten !== 0) && (
+                                        <button
+                                            type="button"
+                                            onClick={() => updateSelectedImage({ rotation: 0, flipHorizontal: false, flipVertical: false, straighten: 0, crop: null })}
+                                            className="mt-2 text-xs font-semibold text-blue-600 hover:underline"
+                                        >
+                                            向き・傾きをリセット
+                                        </button>
+                                    )}
+                                </div>
+                                <div>
+                                    <label className="block text-base font-semibold text-gray-700 mb-3">写真の補正</label>
+                                    <AdjustmentSettings
+                                        adjustments={selectedImage.adjustments}
+                                        onChange={(adjustments) => updateSelectedImage({ adjustments })}
+                                        idPrefix="imageAdjustment"
                                     />
+                                    {!isSameSettingValue(selectedImage.adjustments, selectedGroupSettings.adjustments) && (
+                                        <button
+                                            type="button"
+                                            onClick={() => updateSelectedImage({ adjustments: selectedGroupSettings.adjustments })}
+                                            className="mt-2 text-xs font-semibold text-blue-600 hover:underline"
+                                        >
+                                            一括設定に戻す
+                                        </button>
+                                    )}
                                 </div>
+                                {selectedMetadata && (
+                                    <div>
+                                        <p className="block text-base font-semibold text-gray-700 mb-3">撮影情報</p>
+                                        <dl className="grid grid-cols-[auto_1fr] gap-x-4 gap-y-1 text-sm">
+                                            <dt className="text-gray-500">撮影日時</dt>
+                                            <dd className="text-gray-700 truncate">{selectedImage.captureTime != null ? new Date(selectedImage.captureTime).toLocaleString('ja-JP') : '記録なし'}</dd>
+                                            <dt className="text-gray-500">カメラ</dt>
+                                            <dd className="text-gray-700 truncate">{[selectedMetadata.make, selectedMetadata.model].filter(Boolean).join(' ') || '記録なし'}</dd>
+                                            <dt className="text-gray-500">位置情報</dt>
+                                            <dd className={selectedMetadata.gps ? 'text-amber-600 font-semibold truncate' : 'text-gray-700'}>
+                                                {selectedMetadata.gps
+                                                    ? `${selectedMetadata.gps.latitude.toFixed(5)}, ${selectedMetadata.gps.longitude.toFixed(5)}（出力時に削除）`
+                                                    : '記録なし'}
+                                            </dd>
+                                            {selectedImage.colorProfile && (
+                                                <>
+                                                    <dt className="text-gray-500">色空間</dt>
+                                                    <dd className={selectedImage.colorProfile.isSrgb ? 'text-gray-700 truncate' : 'text-purple-700 font-semibold truncate'}>
+                                                        {selectedImage.colorProfile.name || (selectedImage.colorProfile.isSrgb ? 'sRGB' : '不明')}
+                                                        {!selectedImage.colorProfile.isSrgb && (selectedImage.colorProfile.conversion ? '（sRGBに変換）' : '（変換なし）')}
+                                                    </dd>
+                                                </>
+                                            )}
+                                            {selectedMetadata.copyright && (
+                                                <>
+                                                    <dt className="text-gray-500">著作権</dt>
+                                                    <dd className="text-gray-700 truncate">{selectedMetadata.copyright}</dd>
+                                                </>
+                                            )}
+                                        </dl>
+                                    </div>
+                                )}
                                 {/* === ▼▼▼【ボタン追加】▼▼▼ === */}
                                 <div className="pt-4">
                                     <button 
@@ -916,16 +3858,61 @@ const ConfirmEditScreen = ({ images, setImages, onProcess, onBack, industryCodes
                                         <HardDriveDownload size={18} /> {/* アイコンは適宜変更してください */}
                                         <span>プレビュー</span>
                                     </button>
+                                    <div className="flex gap-3 mt-3">
+                                        <button
+                                            onClick={() => setIsCropEditorOpen(true)}
+                                            className="flex-grow flex items-center justify-center gap-2 px-4 py-3 bg-white/80 text-gray-800 font-semibold rounded-xl border border-gray-300/60 hover:bg-gray-200/60 transition shadow-sm"
+                                        >
+                                            <Crop size={18} />
+                                            <span>{selectedImage.crop ? 'トリミングを編集' : 'トリミング'}</span>
+                                        </button>
+                                        {selectedImage.crop && (
+                                            <button
+                                                onClick={() => updateSelectedImage({ crop: null })}
+                                                className="flex-shrink-0 px-4 py-3 rounded-xl text-gray-700 font-semibold bg-gray-200 hover:bg-gray-300 transition"
+                                            >
+                                                解除
+                                            </button>
+                                        )}
+                                    </div>
+                                    <label className="flex items-center gap-2 text-sm text-gray-700 mt-3">
+                                        <input
+                                            type="checkbox"
+                                            checked={selectedImage.autoTrim}
+                                            disabled={Boolean(selectedImage.crop)}
+                                            onChange={(e) => updateSelectedImage({ autoTrim: e.target.checked })}
+                                            className="w-4 h-4 rounded text-blue-600 focus:ring-blue-500"
+                                        />
+                                        縁の余白・黒帯を自動でトリミング
+                                    </label>
+                                    {selectedImage.crop ? (
+                                        <p className="text-xs text-gray-500 mt-1">※トリミング済の画像には適用されません</p>
+                                    ) : selectedImage.autoTrim !== selectedGroupSettings.autoTrim && (
+                                        <button
+                                            type="button"
+                                            onClick={() => updateSelectedImage({ autoTrim: selectedGroupSettings.autoTrim })}
+                                            className="mt-2 text-xs font-semibold text-blue-600 hover:underline"
+                                        >
+                                            一括設定に戻す
+                                        </button>
+                                    )}
                                 </div>
                                 {/* === ▲▲▲【ボタン追加】▲▲▲ === */}
                                 <div className="pt-6 border-t border-gray-200/60 flex justify-between items-center">
                                     <button onClick={onBack} className="flex items-center px-6 py-3 rounded-xl text-gray-700 font-semibold bg-gray-200 hover:bg-gray-300 transition">
                                         <RotateCcw size={18} className="mr-2" /> 戻る
                                     </button>
-                                    <button onClick={onProcess} className="flex items-center px-6 py-3 rounded-xl text-white font-bold bg-blue-600 hover:bg-blue-700 transform hover:-translate-y-0.5 transition-all duration-200 shadow-lg">
+                                    <button
+                                        onClick={onProcess}
+                                        disabled={invalidImageCount > 0}
+                                        className="flex items-center px-6 py-3 rounded-xl text-white font-bold bg-blue-600 hover:bg-blue-700 transform hover:-translate-y-0.5 transition-all duration-200 shadow-lg disabled:bg-gray-400 disabled:shadow-none disabled:transform-none disabled:cursor-not-allowed"
+                                    >
                                         加工に進む <ChevronsRight size={20} className="ml-2" />
                                     </button>
                                 </div>
+                                {invalidImageCount > 0 && (
+                                    <p className="text-xs text-red-600 text-right">入力内容に誤りがある画像が{invalidImageCount}件あります</p>
+                                )}
                             </div>
                         ) : (
                             <p className="text-gray-500 text-center mt-10">リストから画像を選択してください</p>
@@ -943,109 +3930,840 @@ const ConfirmEditScreen = ({ images, setImages, onProcess, onBack, industryCodes
                 onPrev={handlePrevPreview}
                 onNext={handleNextPreview}
                 generateNewFilename={generateNewFilename}
-                resizeWithPadding={resizeWithPadding}
+                processImage={processImage}
+                renditions={bulkSettings.renditions}
+                onDisableAutoTrim={(imageId) => setImages(imgs => imgs.map(img => (img.id === imageId ? { ...img, autoTrim: false } : img)))}
+                onUpdateRedactions={(imageId, redactions) => setImages(imgs => imgs.map(img => (img.id === imageId ? { ...img, redactions } : img)))}
             />
             {/* === ▲▲▲【モーダル呼び出し追加】▲▲▲ === */}
+            <CropEditorModal
+                isOpen={isCropEditorOpen}
+                image={selectedImage}
+                onClose={() => setIsCropEditorOpen(false)}
+                onSave={(crop) => {
+                    updateSelectedImage({ crop });
+                    setIsCropEditorOpen(false);
+                }}
+            />
+        </div>
+    );
+};
+
+/**
+ * === ▼▼▼【新規追加】プレビューモーダルコンポーネント ▼▼▼ ===
+ * STEP 3: 確認画面で加工後の画像を確認するためのモーダル
+ */
+const PreviewModal = ({ 
+    isOpen, 
+    onClose, 
+    image, 
+    currentIndex, 
+    totalCount, 
+    onPrev, 
+    onNext,
+    generateNewFilename,
+    processImage,
+    renditions = [],
+    onDisableAutoTrim,
+    onUpdateRedactions
+}) => {
+    const trimCanvasRef = React.useRef(null);
+    const viewportRef = React.useRef(null);
+    const panRef = React.useRef(null);
+    const [previewResult, setPreviewResult] = useState(null);
+    const [beforeResult, setBeforeResult] = useState(null);
+    const [previewError, setPreviewError] = useState(null);
+    const [showBefore, setShowBefore] = useState(false);
+    const [showTrimBox, setShowTrimBox] = useState(false);
+    const [isRedacting, setIsRedacting] = useState(false);
+    const [isComparing, setIsComparing] = useState(false);
+    const [comparePosition, setComparePosition] = useState(50);
+    const [originalCompareUrl, setOriginalCompareUrl] = useState(null);
+    const [isZoomed, setIsZoomed] = useState(false);
+    const [pan, setPan] = useState({ x: 0, y: 0 });
+    const [showInfo, setShowInfo] = useState(true);
+    const [renditionId, setRenditionId] = useState('main');
+    const rendition = renditions.find(r => r.id === renditionId) || null;
+
+    // 別の画像に切り替えた場合や開き直した場合は、表示の切り替えと隠す範囲の編集を最初の状態に戻す
+    const imageId = image?.id;
+    useEffect(() => {
+        setIsRedacting(false);
+        setShowBefore(false);
+        setIsComparing(false);
+        setIsZoomed(false);
+        setRenditionId('main');
+    }, [isOpen, imageId]);
+
+    // ESCキーまたはモーダル外クリックで閉じる処理
+    // 隠す範囲の編集中は、矢印キーで別の画像に移らない
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onClose();
+            if (isRedacting) return;
+            if (e.key === 'ArrowLeft') onPrev();
+            if (e.key === 'ArrowRight') onNext();
+        };
+
+        if (isOpen) {
+            window.addEventListener('keydown', handleKeyDown);
+        }
+
+        return () => {
+            window.removeEventListener('keydown', handleKeyDown);
+        };
+    }, [isOpen, isRedacting, onClose, onPrev, onNext]);
+
+    // プレビュー対象の画像が変更されたら、実際の出力形式でエンコードした結果を表示する
+    // 写真の補正がある場合は、比較用に補正前の結果も生成する
+    // 別の画像に切り替えた場合や閉じた場合は、生成中の依頼を取り消す
+    // 隠す範囲の編集中は範囲を描くたびに画像が更新されるため生成せず、編集を終えたときにまとめて生成する
+    useEffect(() => {
+        setPreviewResult(null);
+        setBeforeResult(null);
+        setPreviewError(null);
+        if (isOpen && image && processImage && !isRedacting) {
+            let isActive = true;
+            const urls = [];
+            const abortController = new AbortController();
+            const generate = async (targetImage, setResult) => {
+                try {
+                    const [result] = await processImage(targetImage, [rendition], { signal: abortController.signal });
+                    if (isActive) {
+                        const url = URL.createObjectURL(result.blob);
+                        urls.push(url);
+                        setResult({ ...result, url });
+                    }
+                } catch (err) {
+                    if (!isActive) return;
+                    console.error("プレビュー画像の生成に失敗しました:", err);
+                    setPreviewError('プレビュー画像を生成できませんでした。');
+                }
+            };
+            generate(image, setPreviewResult);
+            if (hasAdjustments(image.adjustments)) {
+                generate({ ...image, adjustments: null }, setBeforeResult);
+            }
+            return () => {
+                isActive = false;
+                abortController.abort();
+                urls.forEach(url => URL.revokeObjectURL(url));
+            };
+        }
+    }, [isOpen, image, processImage, rendition, isRedacting]);
+
+    const isAdjusted = Boolean(image) && hasAdjustments(image.adjustments);
+    const displayedResult = isAdjusted && showBefore ? beforeResult : previewResult;
+    const trimBox = previewResult?.trimBox || null;
+    const isTrimBoxShown = showTrimBox && Boolean(trimBox);
+
+    // 自動トリミングの範囲を表示する場合は、向きの補正を適用した元画像を縮小して描画する（範囲は補正後の画像の座標）
+    useEffect(() => {
+        if (!isTrimBoxShown) return;
+
+        let isActive = true;
+        (async () => {
+            try {
+                const { source, release } = await loadTransformedSource(image.originalUrl, getImageTransform(image), CROP_DISPLAY_MAX_DIMENSION);
+                try {
+                    if (!isActive || !trimCanvasRef.current) return;
+                    const displayCanvas = trimCanvasRef.current;
+                    displayCanvas.width = source.width;
+                    displayCanvas.height = source.height;
+                    displayCanvas.getContext('2d').drawImage(source, 0, 0);
+                } finally {
+                    release();
+                }
+            } catch (err) {
+                console.error("自動トリミングの範囲の表示に失敗しました:", err);
+            }
+        })();
+        return () => { isActive = false; };
+    }, [isTrimBoxShown, image]);
+
+    // 比較表示では、元画像を出力と同じ範囲・配置で描画して加工後の画像に重ねる
+    // 自動トリミングの範囲を合わせるため、加工結果が出てから描画する
+    useEffect(() => {
+        setOriginalCompareUrl(null);
+        if (!isComparing || !image || !previewResult) return;
+
+        let isActive = true;
+        let url = null;
+        renderOriginalComparison(image, rendition, previewResult.trimBox)
+            .then(blob => {
+                if (!isActive) return;
+                url = URL.createObjectURL(blob);
+                setOriginalCompareUrl(url);
+            })
+            .catch(err => console.error("比較用の元画像の生成に失敗しました:", err));
+        return () => {
+            isActive = false;
+            if (url) URL.revokeObjectURL(url);
+        };
+    }, [isComparing, image, rendition, previewResult]);
+
+    // 等倍表示では、出力画像の1ピクセルを画面の1ピクセルで表示する
+    const outputWidth = image ? (rendition ? parseInt(rendition.width, 10) : image.outputWidth) : 0;
+    const outputHeight = image ? (rendition ? parseInt(rendition.height, 10) : image.outputHeight) : 0;
+    const zoomWidth = outputWidth / window.devicePixelRatio;
+    const zoomHeight = outputHeight / window.devicePixelRatio;
+
+    // 等倍表示に切り替えたときや出力サイズが変わったときは、画像の中央を表示する
+    const hasDisplayedResult = Boolean(displayedResult);
+    useEffect(() => {
+        if (!isZoomed || !hasDisplayedResult || !viewportRef.current) return;
+        const viewport = viewportRef.current;
+        setPan({ x: (viewport.clientWidth - zoomWidth) / 2, y: (viewport.clientHeight - zoomHeight) / 2 });
+    }, [isZoomed, hasDisplayedResult, zoomWidth, zoomHeight]);
+
+    useEffect(() => {
+        if (!isZoomed) return;
+
+        const handlePointerMove = (e) => {
+            const drag = panRef.current;
+            if (!drag || !viewportRef.current) return;
+            const viewport = viewportRef.current;
+            setPan({
+                x: clampPanOffset(drag.startPan.x + e.clientX - drag.startX, viewport.clientWidth, zoomWidth),
+                y: clampPanOffset(drag.startPan.y + e.clientY - drag.startY, viewport.clientHeight, zoomHeight),
+            });
+        };
+        const handlePointerUp = () => {
+            panRef.current = null;
+        };
+        window.addEventListener('pointermove', handlePointerMove);
+        window.addEventListener('pointerup', handlePointerUp);
+        return () => {
+            window.removeEventListener('pointermove', handlePointerMove);
+            window.removeEventListener('pointerup', handlePointerUp);
+        };
+    }, [isZoomed, zoomWidth, zoomHeight]);
+
+    if (!isOpen || !image) return null;
+
+    const newFilename = generateNewFilename(image, rendition);
+
+    const startPan = (e) => {
+        e.preventDefault();
+        panRef.current = { startX: e.clientX, startY: e.clientY, startPan: pan };
+    };
+
+    const viewToggles = [
+        { id: 'compare', label: '元画像と比較', active: isComparing, onToggle: () => setIsComparing(value => !value) },
+        { id: 'zoom', label: '等倍（100%）', active: isZoomed, onToggle: () => setIsZoomed(value => !value) },
+        { id: 'info', label: '情報', active: showInfo, onToggle: () => setShowInfo(value => !value) },
+    ];
+
+    return (
+        <div 
+            className="fixed inset-0 bg-black/70 backdrop-blur-sm flex items-center justify-center z-50 p-4"
+            onClick={onClose}
+        >
+            <div 
+                className="bg-white w-full max-w-4xl rounded-2xl shadow-2xl flex flex-col p-2"
+                onClick={(e) => e.stopPropagation()}
+            >
+                <header className="flex items-center justify-between p-3">
+                    <div className="flex flex-wrap items-center gap-3">
+                        <h2 className="text-lg font-bold text-gray-800">画像プレビュー</h2>
+                        {renditions.length > 0 && (
+                            <select
+                                value={renditionId}
+                                onChange={(e) => setRenditionId(e.target.value)}
+                                aria-label="プレビューする出力サイズ"
+                                className="px-3 py-1.5 text-sm bg-white border border-gray-300 rounded-lg outline-none focus:ring-2 focus:ring-blue-500"
+                            >
+                                <option value="main">メイン ({image.outputWidth} x {image.outputHeight})</option>
+                                {renditions.map(r => <option key={r.id} value={r.id}>{r.name} ({r.width} x {r.height})</option>)}
+                            </select>
+                        )}
+                        {isAdjusted && (
+                            <div className="flex rounded-lg border border-gray-300 overflow-hidden text-sm" role="group" aria-label="補正前後の切り替え">
+                                {[{ before: false, label: '補正後' }, { before: true, label: '補正前' }].map(({ before, label }) => (
+                                    <button
+                                        key={label}
+                                        type="button"
+                                        onClick={() => setShowBefore(before)}
+                                        aria-pressed={showBefore === before}
+                                        className={`px-3 py-1.5 font-semibold transition ${showBefore === before ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-100'}`}
+                                    >
+                                        {label}
+                                    </button>
+                                ))}
+                            </div>
+                        )}
+                        {trimBox && (
+                            <button
+                                type="button"
+                                onClick={() => setShowTrimBox(show => !show)}
+                                aria-pressed={showTrimBox}
+                                className={`px-3 py-1.5 text-sm font-semibold rounded-lg border transition ${showTrimBox ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-100'}`}
+                            >
+                                自動トリミングの範囲
+                            </button>
+                        )}
+                        {viewToggles.map(toggle => (
+                            <button
+                                key={toggle.id}
+                                type="button"
+                                onClick={toggle.onToggle}
+                                aria-pressed={toggle.active}
+                                className={`px-3 py-1.5 text-sm font-semibold rounded-lg border transition ${toggle.active ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-100'}`}
+                            >
+                                {toggle.label}
+                            </button>
+                        ))}
+                        {onUpdateRedactions && (
+                            <button
+                                type="button"
+                                onClick={() => setIsRedacting(editing => !editing)}
+                                aria-pressed={isRedacting}
+                                className={`flex items-center gap-1.5 px-3 py-1.5 text-sm font-semibold rounded-lg border transition ${isRedacting ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-100'}`}
+                            >
+                                <EyeOff size={16} />
+                                {isRedacting ? '隠す範囲の編集を終了' : '個人情報を隠す'}
+                            </button>
+                        )}
+                    </div>
+                    <button onClick={onClose} className="text-gray-500 hover:text-gray-800 p-1 rounded-full hover:bg-gray-200/70 transition-colors">
+                        <X size={24} />
+                    </button>
+                </header>
+                <main className="flex-grow flex flex-col items-center justify-center p-4 relative">
+                    {isRedacting ? (
+                        <RedactionEditor
+                            image={image}
+                            onChange={(redactions) => onUpdateRedactions(image.id, redactions)}
+                        />
+                    ) : isTrimBoxShown ? (
+                        // 取り除く縁を暗くし、使用する範囲を枠で示す
+                        <div className="relative overflow-hidden shadow-md rounded-md bg-gray-200">
+                            <canvas ref={trimCanvasRef} className="block max-w-full max-h-[60vh]" aria-label="自動トリミングの範囲" />
+                            <div
+                                className="absolute border-2 border-dashed border-red-500 shadow-[0_0_0_9999px_rgba(0,0,0,0.5)] pointer-events-none"
+                                style={{
+                                    left: `${(trimBox.x / trimBox.sourceWidth) * 100}%`,
+                                    top: `${(trimBox.y / trimBox.sourceHeight) * 100}%`,
+                                    width: `${(trimBox.width / trimBox.sourceWidth) * 100}%`,
+                                    height: `${(trimBox.height / trimBox.sourceHeight) * 100}%`,
+                                }}
+                            />
+                        </div>
+                    ) : displayedResult ? (
+                        <>
+                            <div
+                                ref={viewportRef}
+                                onPointerDown={isZoomed ? startPan : undefined}
+                                className={isZoomed
+                                    ? 'relative w-full h-[60vh] overflow-hidden rounded-md bg-gray-200 select-none touch-none cursor-grab active:cursor-grabbing'
+                                    : 'relative'}
+                            >
+                                <div
+                                    className={isZoomed ? 'absolute' : 'relative'}
+                                    style={isZoomed ? { left: pan.x, top: pan.y, width: zoomWidth, height: zoomHeight } : undefined}
+                                >
+                                    <img
+                                        src={displayedResult.url}
+                                        alt={newFilename}
+                                        draggable={false}
+                                        className={isZoomed ? 'block w-full h-full' : 'block max-w-full max-h-[60vh] object-contain shadow-md rounded-md bg-gray-200'}
+                                    />
+                                    {isComparing && originalCompareUrl && (
+                                        <>
+                                            {/* 元画像を左側だけ表示し、境目に線を引く */}
+                                            <img
+                                                src={originalCompareUrl}
+                                                alt={`${image.file.name}（元画像）`}
+                                                draggable={false}
+                                                className="absolute inset-0 w-full h-full bg-gray-200"
+                                                style={{ clipPath: `inset(0 ${100 - comparePosition}% 0 0)` }}
+                                            />
+                                            <div className="absolute inset-y-0 w-0.5 -ml-px bg-white shadow pointer-events-none" style={{ left: `${comparePosition}%` }} />
+                                        </>
+                                    )}
+                                </div>
+                                {isComparing && (
+                                    <>
+                                        <span className="absolute top-2 left-2 px-2 py-0.5 rounded bg-black/60 text-white text-xs font-semibold pointer-events-none">元画像</span>
+                                        <span className="absolute top-2 right-2 px-2 py-0.5 rounded bg-black/60 text-white text-xs font-semibold pointer-events-none">加工後</span>
+                                    </>
+                                )}
+                                {showInfo && (
+                                    <dl className="absolute bottom-2 left-2 grid grid-cols-[auto_auto] gap-x-3 px-3 py-2 rounded-lg bg-black/60 text-white text-xs text-left pointer-events-none">
+                                        <dt className="text-white/70">元画像</dt>
+                                        <dd>{displayedResult.sourceSize ? `${displayedResult.sourceSize.width} x ${displayedResult.sourceSize.height} px` : '-'}</dd>
+                                        <dt className="text-white/70">出力</dt>
+                                        <dd>{outputWidth} x {outputHeight} px</dd>
+                                        <dt className="text-white/70">{displayedResult.format.name}</dt>
+                                        <dd>
+                                            {displayedResult.quality !== null && `画質 ${Math.round(displayedResult.quality * 100)}% / `}
+                                            {formatFileSize(displayedResult.blob.size)}（{displayedResult.blob.size.toLocaleString()} バイト）
+                                        </dd>
+                                    </dl>
+                                )}
+                            </div>
+                            {isComparing && (
+                                <input
+                                    type="range"
+                                    min={0}
+                                    max={100}
+                                    step={1}
+                                    value={comparePosition}
+                                    onChange={(e) => setComparePosition(parseInt(e.target.value, 10))}
+                                    aria-label="元画像と加工後の境目の位置"
+                                    className="w-full max-w-md mt-3 accent-blue-600"
+                                />
+                            )}
+                        </>
+                    ) : previewError ? (
+                        <div className="w-full h-[40vh] flex items-center justify-center text-red-600" role="alert">
+                            <AlertCircle className="mr-2" />{previewError}
+                        </div>
+                    ) : (
+                        <div className="w-full h-[40vh] flex items-center justify-center">
+                            <Loader className="w-10 h-10 text-blue-500 animate-spin" />
+                        </div>
+                    )}
+                    
+                    {/* Navigation Buttons */}
+                    <button onClick={onPrev} className="absolute left-4 top-1/2 -translate-y-1/2 bg-black/40 text-white p-3 rounded-full hover:bg-black/60 transition-opacity disabled:opacity-30" disabled={currentIndex === 0}>
+                        <ChevronsRight className="rotate-180" size={24} />
+                    </button>
+                    <button onClick={onNext} className="absolute right-4 top-1/2 -translate-y-1/2 bg-black/40 text-white p-3 rounded-full hover:bg-black/60 transition-opacity disabled:opacity-30" disabled={currentIndex === totalCount - 1}>
+                        <ChevronsRight size={24} />
+                    </button>
+                </main>
+                <footer className="p-4 border-t border-gray-200 space-y-2 text-center">
+                    <p className="font-bold text-gray-800 text-sm truncate" title={newFilename}>
+                        <span className="font-semibold text-gray-500 mr-2">新しいファイル名:</span>{newFilename}
+                    </p>
+                    <p className="text-xs text-gray-500 truncate" title={image.file.name}>
+                        <span className="font-semibold mr-2">元のファイル名:</span>{image.file.name}
+                    </p>
+                    {previewResult && (
+                        <p className="text-xs text-gray-500">
+                            {previewResult.format.name} / {formatFileSize(previewResult.blob.size)}
+                            {previewResult.quality !== null && ` / 画質 ${Math.round(previewResult.quality * 100)}%`}
+                        </p>
+                    )}
+                    {trimBox && (
+                        <p className="text-xs text-gray-500">
+                            自動トリミング: {trimBox.sourceWidth} x {trimBox.sourceHeight} px のうち {trimBox.width} x {trimBox.height} px を使用
+                            {onDisableAutoTrim && (
+                                <button
+                                    type="button"
+                                    onClick={() => onDisableAutoTrim(image.id)}
+                                    className="ml-2 font-semibold text-blue-600 hover:underline"
+                                >
+                                    この画像では行わない
+                                </button>
+                            )}
+                        </p>
+                    )}
+                    <p className="mt-2 text-sm font-semibold text-gray-600">
+                        {currentIndex + 1} / {totalCount}
+                    </p>
+                </footer>
+            </div>
         </div>
     );
 };
 
+
 /**
- * === ▼▼▼【新規追加】プレビューモーダルコンポーネント ▼▼▼ ===
- * STEP 3: 確認画面で加工後の画像を確認するためのモーダル
+ * 個人情報を隠す範囲の編集欄
+ * 向きの補正を適用した画像の上に四角形またはブラシで範囲を描く
+ * 範囲は元画像の座標で保存するため、出力サイズ・トリミング・回転を変えても同じ場所に適用される
  */
-const PreviewModal = ({ 
-    isOpen, 
-    onClose, 
-    image, 
-    currentIndex, 
-    totalCount, 
-    onPrev, 
-    onNext,
-    generateNewFilename,
-    resizeWithPadding
-}) => {
+const RedactionEditor = ({ image, onChange }) => {
     const canvasRef = React.useRef(null);
+    const dragRef = React.useRef(null);
+    const [mapper, setMapper] = useState(null);
+    const [shape, setShape] = useState('rect');
+    const [effect, setEffect] = useState('blur');
+    const [brushSize, setBrushSize] = useState(DEFAULT_REDACTION_BRUSH_SIZE);
+    const [draft, setDraft] = useState(null);
 
-    // ESCキーまたはモーダル外クリックで閉じる処理
+    const { originalUrl, redactions } = image;
+    const transformKey = JSON.stringify(getImageTransform(image));
+
+    // 範囲を描くたびに画像データが更新されるため、元画像と向きが変わったときだけ描き直す
     useEffect(() => {
-        const handleKeyDown = (e) => {
-            if (e.key === 'Escape') onClose();
-            if (e.key === 'ArrowLeft') onPrev();
-            if (e.key === 'ArrowRight') onNext();
-        };
+        setMapper(null);
+        let isActive = true;
+        (async () => {
+            try {
+                const transform = JSON.parse(transformKey);
+                const { source, sourceWidth, sourceHeight, release } = await loadTransformedSource(originalUrl, transform, CROP_DISPLAY_MAX_DIMENSION);
+                try {
+                    if (!isActive || !canvasRef.current) return;
+                    const displayCanvas = canvasRef.current;
+                    displayCanvas.width = source.width;
+                    displayCanvas.height = source.height;
+                    displayCanvas.getContext('2d').drawImage(source, 0, 0);
+                    setMapper(createPointMapper(sourceWidth, sourceHeight, transform));
+                } finally {
+                    release();
+                }
+            } catch (err) {
+                console.error("隠す範囲の編集用画像の読み込みに失敗しました:", err);
+            }
+        })();
+        return () => { isActive = false; };
+    }, [originalUrl, transformKey]);
 
-        if (isOpen) {
-            window.addEventListener('keydown', handleKeyDown);
-        }
+    // ブラシの太さは、向きの補正後の画像のピクセル単位
+    const brushWidth = mapper ? (Math.min(mapper.width, mapper.height) * brushSize) / 100 : 0;
+
+    useEffect(() => {
+        if (!mapper) return;
+
+        // 表示上の位置を、向きの補正後の画像の座標に変換する
+        const getPoint = (e) => {
+            const rect = canvasRef.current.getBoundingClientRect();
+            return [
+                Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1) * mapper.width,
+                Math.min(Math.max((e.clientY - rect.top) / rect.height, 0), 1) * mapper.height,
+            ];
+        };
+        const handlePointerMove = (e) => {
+            const drag = dragRef.current;
+            if (!drag) return;
+            const point = getPoint(e);
+            if (drag.shape === 'rect') {
+                drag.points = [drag.points[0], point];
+            } else {
+                // 軌跡は太さの1/4以上動いたときだけ記録し、点の数を抑える
+                const [lastX, lastY] = drag.points[drag.points.length - 1];
+                if (Math.hypot(point[0] - lastX, point[1] - lastY) < brushWidth / 4) return;
+                drag.points = [...drag.points, point];
+            }
+            setDraft({ ...drag });
+        };
+        const handlePointerUp = () => {
+            const drag = dragRef.current;
+            dragRef.current = null;
+            setDraft(null);
+            if (!drag) return;
+
+            const toSource = (point) => mapper.toSource(point).map(value => Math.round(value));
+            let redaction;
+            if (drag.shape === 'rect') {
+                const [[x1, y1], [x2, y2]] = drag.points.length > 1 ? drag.points : [drag.points[0], drag.points[0]];
+                // クリックしただけの小さな四角形は追加しない
+                if (Math.abs(x2 - x1) < 4 || Math.abs(y2 - y1) < 4) return;
+                redaction = { shape: 'rect', points: [[x1, y1], [x2, y1], [x2, y2], [x1, y2]].map(toSource) };
+            } else {
+                redaction = { shape: 'brush', points: drag.points.map(toSource), size: Math.round(brushWidth / mapper.scale) };
+            }
+            onChange([...redactions, { id: `${Date.now()}-${Math.random()}`, effect: drag.effect, ...redaction }]);
+        };
 
+        window.addEventListener('pointermove', handlePointerMove);
+        window.addEventListener('pointerup', handlePointerUp);
         return () => {
-            window.removeEventListener('keydown', handleKeyDown);
+            window.removeEventListener('pointermove', handlePointerMove);
+            window.removeEventListener('pointerup', handlePointerUp);
         };
-    }, [isOpen, onClose, onPrev, onNext]);
+    }, [mapper, brushWidth, redactions, onChange]);
+
+    const startDrawing = (e) => {
+        if (!mapper) return;
+        e.preventDefault();
+        const rect = canvasRef.current.getBoundingClientRect();
+        const point = [((e.clientX - rect.left) / rect.width) * mapper.width, ((e.clientY - rect.top) / rect.height) * mapper.height];
+        dragRef.current = { shape, effect, points: [point] };
+        setDraft({ ...dragRef.current });
+    };
+
+    // 範囲を向きの補正後の画像の座標でSVGの図形にする
+    const renderShape = (key, item, points, strokeWidth) => {
+        const color = REDACTION_EFFECTS.find(option => option.id === item.effect)?.color;
+        const pointsAttr = points.map(([x, y]) => `${x},${y}`).join(' ');
+        if (item.shape === 'brush') {
+            return points.length === 1
+                ? <circle key={key} cx={points[0][0]} cy={points[0][1]} r={strokeWidth / 2} fill={color} />
+                : <polyline key={key} points={pointsAttr} fill="none" stroke={color} strokeWidth={strokeWidth} strokeLinecap="round" strokeLinejoin="round" />;
+        }
+        return <polygon key={key} points={pointsAttr} fill={color} stroke="white" strokeWidth={2} vectorEffect="non-scaling-stroke" />;
+    };
+
+    const draftPoints = draft && draft.shape === 'rect' && draft.points.length > 1
+        ? [draft.points[0], [draft.points[1][0], draft.points[0][1]], draft.points[1], [draft.points[0][0], draft.points[1][1]]]
+        : draft?.points;
+
+    return (
+        <div className="w-full flex flex-col items-center gap-3">
+            <div className="flex flex-wrap items-center justify-center gap-3 text-sm">
+                <div className="flex rounded-lg border border-gray-300 overflow-hidden" role="group" aria-label="範囲の指定方法">
+                    {REDACTION_SHAPES.map(option => (
+                        <button
+                            key={option.id}
+                            type="button"
+                            onClick={() => setShape(option.id)}
+                            aria-pressed={shape === option.id}
+                            className={`px-3 py-1.5 font-semibold transition ${shape === option.id ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-100'}`}
+                        >
+                            {option.name}
+                        </button>
+                    ))}
+                </div>
+                <div className="flex rounded-lg border border-gray-300 overflow-hidden" role="group" aria-label="隠し方">
+                    {REDACTION_EFFECTS.map(option => (
+                        <button
+                            key={option.id}
+                            type="button"
+                            onClick={() => setEffect(option.id)}
+                            aria-pressed={effect === option.id}
+                            className={`px-3 py-1.5 font-semibold transition ${effect === option.id ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-100'}`}
+                        >
+                            {option.name}
+                        </button>
+                    ))}
+                </div>
+                {shape === 'brush' && (
+                    <label className="flex items-center gap-2 text-gray-600">
+                        太さ
+                        <input
+                            type="range"
+                            min={1}
+                            max={MAX_REDACTION_BRUSH_SIZE}
+                            step={1}
+                            value={brushSize}
+                            onChange={(e) => setBrushSize(parseInt(e.target.value, 10))}
+                            className="w-24 accent-blue-600"
+                        />
+                    </label>
+                )}
+                <button
+                    type="button"
+                    onClick={() => onChange(redactions.slice(0, -1))}
+                    disabled={redactions.length === 0}
+                    className="flex items-center gap-1 px-3 py-1.5 font-semibold text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300 transition disabled:opacity-50"
+                >
+                    <Undo2 size={16} /> 1つ戻す
+                </button>
+                <button
+                    type="button"
+                    onClick={() => onChange([])}
+                    disabled={redactions.length === 0}
+                    className="px-3 py-1.5 font-semibold text-red-600 rounded-lg hover:bg-red-50 transition disabled:opacity-50"
+                >
+                    すべて削除
+                </button>
+            </div>
+            <div className="relative inline-block overflow-hidden select-none touch-none">
+                <canvas
+                    ref={canvasRef}
+                    aria-label={image.file.name}
+                    className="block max-w-full max-h-[55vh] bg-gray-200"
+                />
+                {mapper && (
+                    <svg
+                        viewBox={`0 0 ${mapper.width} ${mapper.height}`}
+                        preserveAspectRatio="none"
+                        onPointerDown={startDrawing}
+                        className="absolute inset-0 w-full h-full cursor-crosshair"
+                    >
+                        {redactions.map(redaction => renderShape(
+                            redaction.id,
+                            redaction,
+                            redaction.points.map(point => mapper.fromSource(point)),
+                            (redaction.size || 0) * mapper.scale,
+                        ))}
+                        {draft && renderShape('draft', draft, draftPoints, brushWidth)}
+                    </svg>
+                )}
+            </div>
+            <p className="text-xs text-gray-500">
+                ドラッグして範囲を指定します（{redactions.length}件）。元画像に適用してから縮小するため、出力サイズやトリミングを変えても同じ場所が隠れます
+            </p>
+        </div>
+    );
+};
+
+// トリミング枠の四隅のハンドル（dirX/dirYはドラッグで広がる向き）
+const CROP_HANDLES = [
+    { id: 'nw', dirX: -1, dirY: -1, className: '-left-2 -top-2 cursor-nwse-resize' },
+    { id: 'ne', dirX: 1, dirY: -1, className: '-right-2 -top-2 cursor-nesw-resize' },
+    { id: 'sw', dirX: -1, dirY: 1, className: '-left-2 -bottom-2 cursor-nesw-resize' },
+    { id: 'se', dirX: 1, dirY: 1, className: '-right-2 -bottom-2 cursor-nwse-resize' },
+];
+const MIN_CROP_SIZE = 20;
+// トリミング画面に表示する画像の長辺の上限
+const CROP_DISPLAY_MAX_DIMENSION = 1600;
 
-    // プレビュー対象の画像が変更されたら、Canvasに再描画する処理
+/**
+ * トリミング編集モーダル
+ * 元画像の上に出力サイズの縦横比で固定したトリミング枠を表示し、移動・拡大縮小できる
+ */
+const CropEditorModal = ({ isOpen, image, onClose, onSave }) => {
+    const canvasRef = React.useRef(null);
+    const dragRef = React.useRef(null);
+    const [naturalSize, setNaturalSize] = useState(null);
+    const [crop, setCrop] = useState(null);
+
+    const aspect = image ? image.outputWidth / image.outputHeight : 1;
+
+    // 向きの補正を適用した画像を表示用に縮小して描画する（トリミング範囲は補正後の画像の座標で扱う）
     useEffect(() => {
-        if (isOpen && image && canvasRef.current && resizeWithPadding) {
-            let isActive = true;
-            (async () => {
+        setNaturalSize(null);
+        setCrop(null);
+        if (!isOpen || !image) return;
+
+        let isActive = true;
+        (async () => {
+            try {
+                const { source, release } = await loadTransformedSource(image.originalUrl, getImageTransform(image));
+                const { width, height } = source;
                 try {
-                    const processedCanvas = await resizeWithPadding(image, RESIZE_WIDTH, RESIZE_HEIGHT);
-                    if (isActive) {
-                        const modalCanvas = canvasRef.current;
-                        const ctx = modalCanvas.getContext('2d');
-                        modalCanvas.width = processedCanvas.width;
-                        modalCanvas.height = processedCanvas.height;
-                        ctx.drawImage(processedCanvas, 0, 0);
-                    }
-                } catch (err) {
-                    console.error("プレビュー画像の生成に失敗しました:", err);
+                    if (!isActive || !canvasRef.current) return;
+
+                    const displayScale = Math.min(1, CROP_DISPLAY_MAX_DIMENSION / Math.max(width, height));
+                    const displayCanvas = canvasRef.current;
+                    displayCanvas.width = Math.round(width * displayScale);
+                    displayCanvas.height = Math.round(height * displayScale);
+                    const ctx = displayCanvas.getContext('2d');
+                    ctx.imageSmoothingQuality = 'high';
+                    ctx.drawImage(source, 0, 0, displayCanvas.width, displayCanvas.height);
+                } finally {
+                    release();
                 }
-            })();
-            return () => { isActive = false; };
-        }
-    }, [isOpen, image, resizeWithPadding]);
+
+                setNaturalSize({ width, height });
+                setCrop(image.crop || getMaxCropRect(width, height, image.outputWidth / image.outputHeight));
+            } catch (err) {
+                console.error("トリミング用画像の読み込みに失敗しました:", err);
+            }
+        })();
+        return () => { isActive = false; };
+    }, [isOpen, image]);
+
+    useEffect(() => {
+        if (!isOpen || !naturalSize) return;
+
+        const handlePointerMove = (e) => {
+            const drag = dragRef.current;
+            if (!drag || !canvasRef.current) return;
+            // 表示上の移動量を元画像のピクセル単位に変換する
+            const scale = naturalSize.width / canvasRef.current.getBoundingClientRect().width;
+            const deltaX = (e.clientX - drag.startX) * scale;
+            const deltaY = (e.clientY - drag.startY) * scale;
+            const start = drag.startCrop;
+
+            if (!drag.handle) {
+                setCrop({
+                    ...start,
+                    x: Math.min(Math.max(start.x + deltaX, 0), naturalSize.width - start.width),
+                    y: Math.min(Math.max(start.y + deltaY, 0), naturalSize.height - start.height),
+                });
+                return;
+            }
+
+            // ドラッグ中の角の対角を固定点として、縦横比を保ったまま拡大縮小する
+            const { dirX, dirY } = drag.handle;
+            const anchorX = dirX > 0 ? start.x : start.x + start.width;
+            const anchorY = dirY > 0 ? start.y : start.y + start.height;
+            const maxWidth = Math.min(
+                dirX > 0 ? naturalSize.width - anchorX : anchorX,
+                (dirY > 0 ? naturalSize.height - anchorY : anchorY) * aspect
+            );
+            const requestedWidth = Math.max(start.width + deltaX * dirX, (start.height + deltaY * dirY) * aspect);
+            const width = Math.min(Math.max(requestedWidth, MIN_CROP_SIZE), maxWidth);
+            const height = width / aspect;
+            setCrop({
+                x: dirX > 0 ? anchorX : anchorX - width,
+                y: dirY > 0 ? anchorY : anchorY - height,
+                width,
+                height,
+            });
+        };
+        const handlePointerUp = () => {
+            dragRef.current = null;
+        };
+
+        window.addEventListener('pointermove', handlePointerMove);
+        window.addEventListener('pointerup', handlePointerUp);
+        return () => {
+            window.removeEventListener('pointermove', handlePointerMove);
+            window.removeEventListener('pointerup', handlePointerUp);
+        };
+    }, [isOpen, naturalSize, aspect]);
 
     if (!isOpen || !image) return null;
 
-    const newFilename = generateNewFilename(image);
+    const startDrag = (e, handle = null) => {
+        e.preventDefault();
+        e.stopPropagation();
+        dragRef.current = { handle, startX: e.clientX, startY: e.clientY, startCrop: crop };
+    };
+
+    const handleSave = () => {
+        onSave({
+            x: Math.round(crop.x),
+            y: Math.round(crop.y),
+            width: Math.round(crop.width),
+            height: Math.round(crop.height),
+        });
+    };
 
     return (
-        <div 
-            className="fixed inset-0 bg-black/70 backdrop-blur-sm flex items-center justify-center z-50 p-4"
-            onClick={onClose}
-        >
-            <div 
-                className="bg-white w-full max-w-4xl rounded-2xl shadow-2xl flex flex-col p-2"
-                onClick={(e) => e.stopPropagation()}
-            >
+        <div className="fixed inset-0 bg-black/70 backdrop-blur-sm flex items-center justify-center z-50 p-4" onClick={onClose}>
+            <div className="bg-white w-full max-w-4xl rounded-2xl shadow-2xl flex flex-col p-2" onClick={(e) => e.stopPropagation()}>
                 <header className="flex items-center justify-between p-3">
-                    <h2 className="text-lg font-bold text-gray-800">画像プレビュー</h2>
+                    <h2 className="text-lg font-bold text-gray-800">トリミング</h2>
                     <button onClick={onClose} className="text-gray-500 hover:text-gray-800 p-1 rounded-full hover:bg-gray-200/70 transition-colors">
                         <X size={24} />
                     </button>
                 </header>
-                <main className="flex-grow flex flex-col items-center justify-center p-4 relative">
-                    <canvas ref={canvasRef} className="max-w-full max-h-[60vh] object-contain shadow-md rounded-md bg-gray-200"></canvas>
-                    
-                    {/* Navigation Buttons */}
-                    <button onClick={onPrev} className="absolute left-4 top-1/2 -translate-y-1/2 bg-black/40 text-white p-3 rounded-full hover:bg-black/60 transition-opacity disabled:opacity-30" disabled={currentIndex === 0}>
-                        <ChevronsRight className="rotate-180" size={24} />
-                    </button>
-                    <button onClick={onNext} className="absolute right-4 top-1/2 -translate-y-1/2 bg-black/40 text-white p-3 rounded-full hover:bg-black/60 transition-opacity disabled:opacity-30" disabled={currentIndex === totalCount - 1}>
-                        <ChevronsRight size={24} />
-                    </button>
+                <main className="flex-grow flex items-center justify-center p-4">
+                    <div className="relative inline-block overflow-hidden select-none touch-none">
+                        <canvas
+                            ref={canvasRef}
+                            aria-label={image.file.name}
+                            className="block max-w-full max-h-[60vh] bg-gray-200"
+                        />
+                        {naturalSize && crop && (
+                            <div
+                                onPointerDown={(e) => startDrag(e)}
+                                className="absolute border-2 border-white cursor-move shadow-[0_0_0_9999px_rgba(0,0,0,0.5)]"
+                                style={{
+                                    left: `${(crop.x / naturalSize.width) * 100}%`,
+                                    top: `${(crop.y / naturalSize.height) * 100}%`,
+                                    width: `${(crop.width / naturalSize.width) * 100}%`,
+                                    height: `${(crop.height / naturalSize.height) * 100}%`,
+                                }}
+                            >
+                                {CROP_HANDLES.map(handle => (
+                                    <div
+                                        key={handle.id}
+                                        onPointerDown={(e) => startDrag(e, handle)}
+                                        className={`absolute w-4 h-4 bg-white border border-gray-400 rounded-sm ${handle.className}`}
+                                    />
+                                ))}
+                            </div>
+                        )}
+                    </div>
                 </main>
-                <footer className="p-4 border-t border-gray-200 space-y-2 text-center">
-                    <p className="font-bold text-gray-800 text-sm truncate" title={newFilename}>
-                        <span className="font-semibold text-gray-500 mr-2">新しいファイル名:</span>{newFilename}
-                    </p>
-                    <p className="text-xs text-gray-500 truncate" title={image.file.name}>
-                        <span className="font-semibold mr-2">元のファイル名:</span>{image.file.name}
-                    </p>
-                    <p className="mt-2 text-sm font-semibold text-gray-600">
-                        {currentIndex + 1} / {totalCount}
+                <footer className="p-4 border-t border-gray-200 flex items-center justify-between gap-3">
+                    <p className="text-xs text-gray-500">
+                        縦横比は出力サイズ（{image.outputWidth} x {image.outputHeight} px）に固定されます
                     </p>
+                    <div className="flex gap-3">
+                        <button
+                            onClick={() => naturalSize && setCrop(getMaxCropRect(naturalSize.width, naturalSize.height, aspect))}
+                            className="px-4 py-2 rounded-lg text-gray-700 font-semibold bg-gray-200 hover:bg-gray-300 transition"
+                        >
+                            リセット
+                        </button>
+                        <button
+                            onClick={handleSave}
+                            disabled={!crop}
+                            className="px-6 py-2 rounded-lg text-white font-semibold bg-blue-600 hover:bg-blue-700 transition disabled:bg-gray-400"
+                        >
+                            適用
+                        </button>
+                    </div>
                 </footer>
             </div>
         </div>
@@ -1056,13 +4774,20 @@ const PreviewModal = ({
 /**
  * STEP 4: ダウンロード画面
  */
-const DownloadScreen = ({ zipBlob, zipFilename, onRestart, onDownload }) => {
-    const handleDownload = () => {
-        if (window.saveAs && zipBlob) {
-            window.saveAs(zipBlob, zipFilename);
-            if (onDownload) {
+const DownloadScreen = ({ zipFiles, onRestart, onDownload, results, maxFileSizeKB }) => {
+    const exceededCount = results.filter(result => result.exceeded).length;
+    const [downloadedFilenames, setDownloadedFilenames] = useState([]);
+    // 加工中に保存先へ直接書き込んだZIPは、ダウンロードの操作がいらない
+    const isAllSaved = zipFiles.length > 0 && zipFiles.every(zipFile => zipFile.saved);
+
+    const handleDownload = (zipFile) => {
+        if (window.saveAs && zipFile.blob) {
+            window.saveAs(zipFile.blob, zipFile.filename);
+            // ZIPが複数ある場合も、ダウンロード完了の通知は最初の1回だけにする
+            if (onDownload && downloadedFilenames.length === 0) {
                 onDownload();
             }
+            setDownloadedFilenames(prev => (prev.includes(zipFile.filename) ? prev : [...prev, zipFile.filename]));
         }
     };
 
@@ -1074,16 +4799,57 @@ const DownloadScreen = ({ zipBlob, zipFilename, onRestart, onDownload }) => {
                     <HardDriveDownload className="w-20 h-20 text-white relative" />
                 </div>
                 <h1 className="text-3xl sm:text-4xl font-bold text-gray-800 tracking-tight">画像の加工が完了しました！</h1>
-                <p className="text-base sm:text-lg text-gray-500 mt-3">下のボタンをクリックして、ZIPファイルをダウンロードしてください。</p>
-                <button
-                    onClick={handleDownload}
-                    className="mt-12 flex items-center justify-center w-full max-w-md mx-auto px-8 sm:px-12 py-4 rounded-2xl text-white bg-gradient-to-br from-green-500 to-emerald-600 
-                               font-bold text-lg sm:text-xl shadow-2xl shadow-green-500/40
-                               transform hover:-translate-y-1 transition-all duration-300 ease-in-out"
-                >
-                    <Download size={24} className="mr-3" />
-                    <span>{zipFilename} をダウンロード</span>
-                </button>
+                <p className="text-base sm:text-lg text-gray-500 mt-3">
+                    {isAllSaved
+                        ? `選択した保存先に${zipFiles.length > 1 ? `${zipFiles.length}個の` : ''}ZIPファイルを保存しました。`
+                        : zipFiles.length > 1
+                            ? `フォルダごとに${zipFiles.length}個のZIPファイルを作成しました。それぞれのボタンをクリックしてダウンロードしてください。`
+                            : '下のボタンをクリックして、ZIPファイルをダウンロードしてください。'}
+                </p>
+                <div className={zipFiles.length > 1 ? 'mt-8 space-y-3' : 'mt-12'}>
+                    {zipFiles.map(zipFile => zipFile.saved ? (
+                        <p key={zipFile.filename} className="flex items-center justify-center w-full max-w-md mx-auto px-6 py-3 rounded-2xl bg-white/80 border border-green-200 text-green-700 font-semibold">
+                            <Check size={20} className="mr-3 flex-shrink-0" />
+                            <span className="truncate">{zipFile.filename} を保存しました</span>
+                        </p>
+                    ) : (
+                        <button
+                            key={zipFile.filename}
+                            onClick={() => handleDownload(zipFile)}
+                            className={`flex items-center justify-center w-full max-w-md mx-auto px-8 sm:px-12 rounded-2xl text-white bg-gradient-to-br from-green-500 to-emerald-600 
+                                       font-bold shadow-2xl shadow-green-500/40
+                                       transform hover:-translate-y-1 transition-all duration-300 ease-in-out
+                                       ${zipFiles.length > 1 ? 'py-3 text-base' : 'py-4 text-lg sm:text-xl'}`}
+                        >
+                            {downloadedFilenames.includes(zipFile.filename)
+                                ? <Check size={zipFiles.length > 1 ? 20 : 24} className="mr-3 flex-shrink-0" />
+                                : <Download size={zipFiles.length > 1 ? 20 : 24} className="mr-3 flex-shrink-0" />}
+                            <span className="truncate">{zipFile.filename} をダウンロード</span>
+                        </button>
+                    ))}
+                </div>
+                {results.length > 0 && (
+                    <div className="mt-10 text-left">
+                        {exceededCount > 0 && (
+                            <div className="mb-3 p-3 rounded-xl bg-red-50 border border-red-200 text-sm text-red-700 flex items-start">
+                                <AlertCircle size={18} className="mr-2 flex-shrink-0 mt-0.5" />
+                                <span>{exceededCount}件の画像が上限の{maxFileSizeKB}KBに収まりませんでした（最低画質{MIN_SEARCH_QUALITY_PERCENT}%でも超過、または可逆圧縮形式）。</span>
+                            </div>
+                        )}
+                        <p className="text-sm font-semibold text-gray-600 mb-2">出力結果</p>
+                        <ul className="max-h-64 overflow-y-auto bg-white/60 border border-gray-200/80 rounded-xl divide-y divide-gray-200/80 text-sm">
+                            {results.map(result => (
+                                <li key={result.id} className={`flex items-center justify-between px-4 py-2 ${result.exceeded ? 'bg-red-50 text-red-700' : 'text-gray-700'}`}>
+                                    <span className="truncate mr-3" title={result.filename}>{result.filename}</span>
+                                    <span className="flex-shrink-0 text-xs">
+                                        {formatFileSize(result.size)} / {result.quality !== null ? `画質 ${Math.round(result.quality * 100)}%` : '可逆圧縮'}
+                                        {result.exceeded && <span className="ml-2 font-bold">上限超過</span>}
+                                    </span>
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
                 <button
                     onClick={onRestart}
                     className="mt-10 flex items-center justify-center mx-auto px-6 py-2 rounded-lg text-gray-500 font-semibold hover:bg-gray-200/80 hover:text-gray-700 transition-colors"
@@ -1108,15 +4874,21 @@ export default function App() {
     const [images, setImages] = useState([]);
     const [loadingProgress, setLoadingProgress] = useState({ progress: 0, total: 0 });
     const [processingProgress, setProcessingProgress] = useState({ progress: 0, total: 0 });
-    const [zipBlob, setZipBlob] = useState(null);
-    const [zipFilename, setZipFilename] = useState('');
+    const [zipFiles, setZipFiles] = useState([]); // [{ filename, blob }]
+    const [processResults, setProcessResults] = useState([]);
+    const [supportedOutputFormats, setSupportedOutputFormats] = useState(null);
     const [errors, setErrors] = useState([]);
-    const [bulkSettings, setBulkSettings] = useState({ industryCode: '', submissionId: '', date: getFormattedDate(), quality: 9, startSequence: '1' });
+    const [bulkSettings, setBulkSettings] = useState(createInitialBulkSettings);
     const [industryCodes, setIndustryCodes] = useState(INITIAL_INDUSTRY_CODES);
     const [spreadsheetMode, setSpreadsheetMode] = useState(() => localStorage.getItem('spreadsheetMode') || 'replace');
     const [spreadsheetUrl, setSpreadsheetUrl] = useState(() => localStorage.getItem('spreadsheetUrl') || '');
+    const [industrySizeProfiles, setIndustrySizeProfiles] = useState(() => JSON.parse(localStorage.getItem('industrySizeProfiles')) || {});
+    const [watermarkPresets, setWatermarkPresets] = useState(() => JSON.parse(localStorage.getItem('watermarkPresets')) || []);
+    const [processingLimits, setProcessingLimits] = useState(() => normalizeProcessingLimits(JSON.parse(localStorage.getItem('processingLimits')) || {}));
     const [fileTypeCounts, setFileTypeCounts] = useState({});
     const [timeBreakdown, setTimeBreakdown] = useState({ thumbnail: 0, resize: 0, zip: 0 });
+    // 読み込んだ画像のフォルダ構成（一括設定でフォルダごとのグループ分けに使う）
+    const folderGroups = useMemo(() => getFolderGroups(images), [images]);
     
     const [allNotifications, setAllNotifications] = useState([]); // notifications.json の全データ
     const [notificationQueue, setNotificationQueue] = useState([]); // モーダルで表示する通知のキュー
@@ -1170,11 +4942,68 @@ export default function App() {
 
     // 処理中かどうかのフラグ（重複処理防止用）
     const isProcessingRef = React.useRef(false);
+    // 画像加工用のWorkerプール（最初の加工時に生成する）
+    const workerPoolRef = React.useRef(null);
 
     useEffect(() => {
         isProcessingRef.current = (screen === 'loading' || screen === 'processing');
     }, [screen]);
 
+    useEffect(() => {
+        return () => workerPoolRef.current?.cancel();
+    }, []);
+
+    // 実行中の読み込み・加工（中止・一時停止と残り時間の見積もりに使う）
+    const taskRef = React.useRef(null);
+    const [isTaskPaused, setIsTaskPaused] = useState(false);
+
+    // 読み込み・加工の開始を記録する（returnScreenは中止したときに戻る画面）
+    // 処理側は返した状態のcancelledを見て、中止されたかどうかを判断する
+    // Workerプールへの依頼にはabortControllerのsignalを渡し、中止したときにこの処理の依頼だけを取り消す（プレビューは止めない）
+    const startTask = (returnScreen, fallbackSecondsPerItem) => {
+        const task = { cancelled: false, abortController: new AbortController(), returnScreen, fallbackSecondsPerItem, startedAt: performance.now(), pausedAt: null, pausedMs: 0 };
+        taskRef.current = task;
+        setIsTaskPaused(false);
+        return task;
+    };
+
+    // 進捗を1件進め、残り時間を計算し直すためのstate更新関数を返す
+    const advanceProgress = (task) => (p) => {
+        const now = performance.now();
+        const pausedMs = task.pausedMs + (task.pausedAt ? now - task.pausedAt : 0);
+        const progress = p.progress + 1;
+        const elapsedSeconds = (now - task.startedAt - pausedMs) / 1000;
+        return { ...p, progress, remainingSeconds: estimateRemainingSeconds(progress, p.total, elapsedSeconds, task.fallbackSecondsPerItem) };
+    };
+
+    // 処理中のループは次の区切りで止まり、結果は破棄される
+    const handleCancelTask = () => {
+        const task = taskRef.current;
+        if (!task) return;
+        task.cancelled = true;
+        task.abortController.abort();
+        if (task.pausedAt) workerPoolRef.current?.resume();
+        setIsTaskPaused(false);
+        setScreen(task.returnScreen);
+    };
+
+    const handlePauseTask = () => {
+        const task = taskRef.current;
+        if (!task || task.pausedAt) return;
+        task.pausedAt = performance.now();
+        workerPoolRef.current?.pause();
+        setIsTaskPaused(true);
+    };
+
+    const handleResumeTask = () => {
+        const task = taskRef.current;
+        if (!task || !task.pausedAt) return;
+        task.pausedMs += performance.now() - task.pausedAt;
+        task.pausedAt = null;
+        workerPoolRef.current?.resume();
+        setIsTaskPaused(false);
+    };
+
     useEffect(() => {
         const handleMouseMove = () => {
             mouseMovedRef.current = true;
@@ -1287,8 +5116,17 @@ export default function App() {
     // === ▲▲▲ 通知システムロジック END ▲▲▲ ===
 
 
+    // ブラウザがエンコードできる出力形式を起動時に判定する
+    useEffect(() => {
+        detectSupportedOutputFormats()
+            .then(setSupportedOutputFormats)
+            .catch(err => {
+                console.error("Failed to detect output formats:", err);
+                setSupportedOutputFormats([DEFAULT_OUTPUT_FORMAT]);
+            });
+    }, []);
+
     const { isLoaded: isHeicLoaded, error: heicError } = useScript(HEIC_CDN_URL);
-    const { isLoaded: isJszipLoaded, error: jszipError } = useScript(JSZIP_CDN);
     const { isLoaded: isFilesaverLoaded, error: filesaverError } = useScript(FILESAVER_CDN);
 
     const handleFileErrors = useCallback((newErrors) => {
@@ -1357,7 +5195,6 @@ export default function App() {
     useEffect(() => {
         const scriptErrors = [
             heicError && 'HEIC変換ライブラリ',
-            jszipError && 'ZIP圧縮ライブラリ',
             filesaverError && 'ファイル保存ライブラリ'
         ].filter(Boolean);
 
@@ -1365,7 +5202,7 @@ export default function App() {
             handleFileErrors([`${scriptErrors.join(', ')}の読み込みに失敗しました。`]);
         }
 
-        if (isHeicLoaded && isJszipLoaded && isFilesaverLoaded && screen === 'initializing') {
+        if (isHeicLoaded && isFilesaverLoaded && screen === 'initializing') {
             setIndustryCodes(INITIAL_INDUSTRY_CODES);
             localStorage.removeItem('spreadsheetUrl');
             localStorage.removeItem('spreadsheetMode');
@@ -1373,7 +5210,7 @@ export default function App() {
             
             setScreen('upload');
         }
-    }, [isHeicLoaded, isJszipLoaded, isFilesaverLoaded, heicError, jszipError, filesaverError, screen, handleFileErrors, fetchIndustryCodes]);
+    }, [isHeicLoaded, isFilesaverLoaded, heicError, filesaverError, screen, handleFileErrors, fetchIndustryCodes]);
 
     const handleSpreadsheetConnection = async (url, mode) => {
         if (!url) {
@@ -1441,6 +5278,81 @@ export default function App() {
         }
     };
 
+    const handleChangeProcessingLimits = (values) => {
+        const next = normalizeProcessingLimits(values);
+        localStorage.setItem('processingLimits', JSON.stringify(next));
+        setProcessingLimits(next);
+        // 同時に加工する数を変えた場合は、次の加工でWorkerプールを作り直す
+        // 古いプールは、実行中のプレビューなどを終えてからWorkerを終了する
+        if (next.maxWorkers !== processingLimits.maxWorkers && workerPoolRef.current) {
+            workerPoolRef.current.close();
+            workerPoolRef.current = null;
+        }
+    };
+
+    const handleSaveIndustrySizeProfile = (industryCode, sizeSetting) => {
+        setIndustrySizeProfiles(prev => {
+            const next = { ...prev, [industryCode]: sizeSetting };
+            localStorage.setItem('industrySizeProfiles', JSON.stringify(next));
+            return next;
+        });
+    };
+
+    // 透かしの設定をプリセットとして保存する（同じ名前のプリセットは上書き）
+    const handleSaveWatermarkPreset = (name, watermark) => {
+        const preset = { id: `${Date.now()}`, name, watermark: { ...watermark, enabled: true } };
+        const next = [...watermarkPresets.filter(p => p.name !== name), preset];
+        try {
+            localStorage.setItem('watermarkPresets', JSON.stringify(next));
+        } catch {
+            // ロゴ画像が大きく、保存領域に収まらない場合
+            handleFileErrors(['透かしのプリセットを保存できませんでした。ロゴ画像の容量を小さくするか、不要なプリセットを削除してください。']);
+            return;
+        }
+        setWatermarkPresets(next);
+    };
+
+    const handleDeleteWatermarkPreset = (presetId) => {
+        setWatermarkPresets(prev => {
+            const next = prev.filter(p => p.id !== presetId);
+            localStorage.setItem('watermarkPresets', JSON.stringify(next));
+            return next;
+        });
+    };
+
+    // ファイルを読み込み、サムネイルを生成した画像データの配列を返す（読み込めなかったファイルは除く）
+    // 中止された場合はnullを返す
+    const loadImageFiles = async (files, returnScreen) => {
+        // 前回の読み込みで計測した1枚あたりの時間を、残り時間の初期の見積もりに使う
+        const task = startTask(returnScreen, images.length > 0 && timeBreakdown.thumbnail > 0 ? timeBreakdown.thumbnail / images.length : null);
+        setErrors([]);
+        setLoadingProgress({ progress: 0, total: files.length, remainingSeconds: estimateRemainingSeconds(0, files.length, 0, task.fallbackSecondsPerItem) });
+
+        const loadedImages = [];
+        const orientationAutoApplied = await isOrientationAutoApplied();
+        const folders = assignFolders(files);
+        for (const [index, file] of files.entries()) {
+            if (task.cancelled) break;
+            try {
+                loadedImages.push(await createImageEntry(file, orientationAutoApplied, folders[index]));
+            } catch (err) {
+                console.error("Error processing file:", file.name, err);
+                if (!task.cancelled) handleFileErrors([`ファイル処理中にエラーが発生しました: ${file.name}`]);
+            }
+            if (!task.cancelled) setLoadingProgress(advanceProgress(task));
+        }
+
+        if (task.cancelled) {
+            // 読み込み済みの分は使わないため、URLを解放する
+            loadedImages.forEach(img => {
+                URL.revokeObjectURL(img.originalUrl);
+                URL.revokeObjectURL(img.thumbnailUrl);
+            });
+            return null;
+        }
+        return loadedImages;
+    };
+
     const handleFilesAccepted = async (files, method) => {
         setUploadMethod(method);
         const totalSizeInBytes = files.reduce((sum, file) => sum + file.size, 0);
@@ -1461,37 +5373,9 @@ export default function App() {
         setFileTypeCounts(counts);
 
         setScreen('loading');
-        setErrors([]);
-        setLoadingProgress({ progress: 0, total: files.length });
-
-        const newImages = [];
         const thumbnailStartTime = performance.now();
-        for (const file of files) {
-            try {
-                let blob = file;
-                const lowerCaseName = file.name.toLowerCase();
-                if ((lowerCaseName.endsWith('.heic') || lowerCaseName.endsWith('.heif')) && window.heic2any) {
-                    blob = await window.heic2any({ blob: file, toType: "image/jpeg", quality: 0.9 });
-                }
-                const originalUrl = URL.createObjectURL(blob);
-                const thumbnailUrl = await createThumbnail(originalUrl);
-
-                newImages.push({
-                    id: `${file.name}-${Date.now()}-${Math.random()}`,
-                    file,
-                    originalUrl,
-                    thumbnailUrl,
-                    industryCode: '',
-                    submissionId: '',
-                    date: '',
-                    quality: 9,
-                });
-            } catch (err) {
-                console.error("Error processing file:", file.name, err);
-                handleFileErrors([`ファイル処理中にエラーが発生しました: ${file.name}`]);
-            }
-            setLoadingProgress(p => ({ ...p, progress: p.progress + 1 }));
-        }
+        const newImages = await loadImageFiles(files, 'upload');
+        if (!newImages) return;
         const thumbnailEndTime = performance.now();
         setTimeBreakdown(prev => ({ ...prev, thumbnail: (thumbnailEndTime - thumbnailStartTime) / 1000 }));
         setImages(newImages);
@@ -1499,121 +5383,244 @@ export default function App() {
     };
     
     const handleBulkSettingsNext = () => {
-        setImages(imgs => imgs.map(img => ({
-            ...img,
-            industryCode: bulkSettings.industryCode,
-            submissionId: bulkSettings.submissionId,
-            date: bulkSettings.date,
-            quality: bulkSettings.quality,
-        })));
+        setImages(imgs => imgs.map(img => applyBulkSettings(img, bulkSettings)));
         setScreen('confirm-edit');
     };
 
-    const resizeWithPadding = (image, targetWidth, targetHeight) => {
-        return new Promise((resolve, reject) => {
-            const img = new Image();
-            img.crossOrigin = 'anonymous';
-            img.onload = () => {
-                let currentCanvas = document.createElement('canvas');
-                let currentCtx = currentCanvas.getContext('2d');
-                currentCanvas.width = img.width;
-                currentCanvas.height = img.height;
-                currentCtx.drawImage(img, 0, 0);
-
-                while (currentCanvas.width > targetWidth * 2) {
-                    const nextWidth = Math.floor(currentCanvas.width / 2);
-                    const nextHeight = Math.floor(currentCanvas.height / 2);
-                    
-                    if (nextWidth < targetWidth || nextHeight < targetHeight) break;
-
-                    const nextCanvas = document.createElement('canvas');
-                    nextCanvas.width = nextWidth;
-                    nextCanvas.height = nextHeight;
-                    const nextCtx = nextCanvas.getContext('2d');
-                    
-                    nextCtx.imageSmoothingQuality = 'high';
-                    nextCtx.drawImage(currentCanvas, 0, 0, nextWidth, nextHeight);
-                    
-                    currentCanvas = nextCanvas;
-                }
+    // 確認画面から画像を追加する（追加分には現在の一括設定を適用する）
+    const handleAddFiles = async (files) => {
+        setScreen('loading');
+        const addedImages = await loadImageFiles(files, 'confirm-edit');
+        if (!addedImages) return;
+        setImages(imgs => [...imgs, ...addedImages.map(img => applyBulkSettings(img, bulkSettings))]);
+        setScreen('confirm-edit');
+    };
 
-                const finalCanvas = document.createElement('canvas');
-                finalCanvas.width = targetWidth;
-                finalCanvas.height = targetHeight;
-                const ctx = finalCanvas.getContext('2d');
-                ctx.fillStyle = '#FFFFFF';
-                ctx.fillRect(0, 0, targetWidth, targetHeight);
-                ctx.imageSmoothingQuality = 'high';
-                const imgAspect = currentCanvas.width / currentCanvas.height;
-                const targetAspect = targetWidth / targetHeight;
-                let drawWidth, drawHeight, x, y;
-
-                if (imgAspect > targetAspect) {
-                    drawWidth = targetWidth;
-                    drawHeight = targetWidth / imgAspect;
-                    x = 0;
-                    y = (targetHeight - drawHeight) / 2;
-                } else {
-                    drawHeight = targetHeight;
-                    drawWidth = targetHeight * imgAspect;
-                    y = 0;
-                    x = (targetWidth - drawWidth) / 2;
-                }
-                
-                ctx.drawImage(currentCanvas, x, y, drawWidth, drawHeight);
-                resolve(finalCanvas);
-            };
-            img.onerror = reject;
-            img.src = image.originalUrl;
+    const handleRemoveImages = (imageIds) => {
+        images.filter(img => imageIds.includes(img.id)).forEach(img => {
+            URL.revokeObjectURL(img.originalUrl);
+            URL.revokeObjectURL(img.thumbnailUrl);
         });
+        setImages(imgs => imgs.filter(img => !imageIds.includes(img.id)));
+    };
+
+    // 元ファイルだけを差し替え、並び順と個別設定は引き継ぐ
+    const handleReplaceImage = async (imageId, file) => {
+        setScreen('loading');
+        const loadedImages = await loadImageFiles([file], 'confirm-edit');
+        if (!loadedImages) return;
+        const [replacement] = loadedImages;
+        const previous = images.find(img => img.id === imageId);
+        if (replacement && previous) {
+            URL.revokeObjectURL(previous.originalUrl);
+            URL.revokeObjectURL(previous.thumbnailUrl);
+            setImages(imgs => imgs.map(img => {
+                if (img.id !== imageId) return img;
+                return {
+                    ...img,
+                    file: replacement.file,
+                    originalUrl: replacement.originalUrl,
+                    thumbnailUrl: replacement.thumbnailUrl,
+                    exifOrientation: replacement.exifOrientation,
+                    orientation: replacement.orientation,
+                    captureTime: replacement.captureTime,
+                    metadata: replacement.metadata,
+                    colorProfile: replacement.colorProfile,
+                    perceptualHash: replacement.perceptualHash,
+                    contentHash: replacement.contentHash,
+                    // 画像の大きさが変わるとトリミング範囲・隠す範囲が合わなくなるため解除する
+                    crop: null,
+                    redactions: [],
+                };
+            }));
+        }
+        setScreen('confirm-edit');
     };
 
+    // 大きさと見た目が他の画像と一致した画像だけ、完全に同じファイルかを確かめるため内容のハッシュを計算する
+    // 計算中の画像は二重に計算しないよう記録しておき、差し替えられた画像の結果は反映しない
+    const hashingImageIdsRef = React.useRef(new Set());
+    useEffect(() => {
+        const targets = findContentHashCandidates(images).filter(image => !hashingImageIdsRef.current.has(image.id));
+        if (targets.length === 0) return;
+        targets.forEach(image => hashingImageIdsRef.current.add(image.id));
+        (async () => {
+            for (const image of targets) {
+                let contentHash = null;
+                try {
+                    contentHash = await computeContentHash(image.file);
+                } catch (err) {
+                    console.error("ファイルのハッシュの計算に失敗しました:", image.file.name, err);
+                }
+                hashingImageIdsRef.current.delete(image.id);
+                setImages(imgs => imgs.map(img => (img.id === image.id && img.file === image.file ? { ...img, contentHash } : img)));
+            }
+        })();
+    }, [images]);
+
+    // 画像加工用のWorkerプールを取得する（最初の加工時に生成する）
+    const getWorkerPool = useCallback(() => {
+        if (!workerPoolRef.current) {
+            workerPoolRef.current = createImageWorkerPool({ maxWorkers: processingLimits.maxWorkers });
+        }
+        return workerPoolRef.current;
+    }, [processingLimits.maxWorkers]);
+
+    // 1枚の画像を出力形式にエンコードする（プレビューとZIP出力で共通）
+    // renditionsの順に出力し（nullはメインの出力）、レンディションはそのサイズ・合わせ方・画質で出力する
+    // 1枚分の出力はまとめてWorkerに依頼し、元画像のデコードは1回で済ませる（プレビューも同じ経路を通す）
+    // signalを中止すると、その依頼だけがAbortErrorで失敗する
+    const processImage = useCallback(async (image, renditions, { signal } = {}) => {
+        const maxFileSizeBytes = bulkSettings.maxFileSizeKB ? parseInt(bulkSettings.maxFileSizeKB, 10) * 1024 : null;
+        const format = resolveOutputFormat(image.outputFormat, image);
+        // メタデータとsRGBプロファイルを埋め込めるのはJPEGのみ（canvasからの出力にはどちらも含まれない）
+        // 挿入した順にSOIの直後へ入るため、APP1（EXIF）がAPP2（ICC）より前になるようICCから挿入する
+        const segments = format.id === 'jpeg'
+            ? [bulkSettings.embedSrgbProfile ? getSrgbIccSegment() : null, createMetadataSegment(image.metadata, bulkSettings)].filter(Boolean)
+            : [];
+        const segmentsSize = segments.reduce((sum, segment) => sum + segment.length, 0);
+        // 埋め込む分を差し引いた大きさに収まるようにエンコードする
+        const jobs = renditions.map(rendition => createProcessJob(
+            image,
+            rendition,
+            maxFileSizeBytes ? maxFileSizeBytes - segmentsSize : maxFileSizeBytes,
+            { watermark: bulkSettings.watermark, resampling: bulkSettings.resampling, autoTrimTolerance: bulkSettings.autoTrimTolerance },
+        ));
+        const results = await getWorkerPool().run(jobs, { signal });
+        return Promise.all(results.map(async (result) => {
+            if (segments.length === 0) return { ...result, format };
+            const bytes = segments.reduce((jpegBytes, segment) => insertJpegSegment(jpegBytes, segment), new Uint8Array(await result.blob.arrayBuffer()));
+            return { ...result, blob: new Blob([bytes], { type: format.mimeType }), format };
+        }));
+    }, [bulkSettings, getWorkerPool]);
+
     const handleProcess = async () => {
+        // ZIPごとに入る画像を決め、ZIPのファイル名はそのZIPに入る最初の画像の業種コードと入稿IDから付ける
+        // フォルダごとに別のZIPにする場合はフォルダごとに分ける（キーは画像のフォルダ）
+        const separateZips = bulkSettings.groupByFolder && bulkSettings.folderGroupOutput === 'separate';
+        const getZipKey = (image) => (separateZips ? image.folder : '');
+        const zipGroups = new Map();
+        const usedZipFilenames = new Set();
+        images.forEach(image => {
+            if (zipGroups.has(getZipKey(image))) return;
+            const baseName = `${image.industryCode}_${image.submissionId}`;
+            let filename = `${baseName}.zip`;
+            for (let n = 2; usedZipFilenames.has(filename); n++) filename = `${baseName}_${n}.zip`;
+            usedZipFilenames.add(filename);
+            zipGroups.set(getZipKey(image), { filename, writer: null, fileHandle: null });
+        });
+
+        // 保存先を選べるブラウザでは、ZIPをファイルへ直接書き込み、出力した画像をメモリに残さない
+        // 選べない場合は、Blobとして組み立ててからダウンロードする
+        let fileHandles = null;
+        try {
+            fileHandles = await pickZipFileHandles([...zipGroups.values()].map(group => group.filename));
+        } catch (err) {
+            if (err.name === 'AbortError') return;
+            console.warn("保存先を選択できないため、ZIPをダウンロード用に組み立てます:", err);
+        }
+
+        const task = startTask('confirm-edit', timeBreakdown.resize > 0 ? timeBreakdown.resize / images.length : null);
         setProcessingStartTime(Date.now());
 
         setScreen('processing');
-        setProcessingProgress({ progress: 0, total: images.length });
-        const zip = new window.JSZip();
+        setProcessingProgress({ progress: 0, total: images.length, remainingSeconds: estimateRemainingSeconds(0, images.length, 0, task.fallbackSecondsPerItem) });
+
+        await Promise.all([...zipGroups.values()].map(async (group, index) => {
+            let sink = null;
+            if (fileHandles) {
+                try {
+                    sink = await createFileSink(fileHandles[index]);
+                    group.filename = fileHandles[index].name;
+                    group.fileHandle = fileHandles[index];
+                } catch (err) {
+                    console.warn("保存先に書き込めないため、ZIPをダウンロード用に組み立てます:", err);
+                }
+            }
+            group.writer = createZipWriter(sink || createBlobSink());
+        }));
+        // 中止・失敗した場合は書きかけのZIPを破棄し、保存先に作ったファイル（書き込み済みのZIPを含む）も削除する
+        // （ファイルの削除に対応していないブラウザでは、空または書き込み済みのファイルが残る）
+        const abortZipWriters = () => Promise.all([...zipGroups.values()].map(async (group) => {
+            await group.writer.abort().catch(() => {});
+            await group.fileHandle?.remove?.().catch(() => {});
+        }));
+        const sequenceNumbers = getSequenceNumbers(images, bulkSettings);
 
         const resizeStartTime = performance.now();
-        const startSequenceNumber = parseInt(bulkSettings.startSequence, 10) || 1;
 
-        for (let i = 0; i < images.length; i++) {
-            const image = images[i];
-            try {
-                const canvas = await resizeWithPadding(image, RESIZE_WIDTH, RESIZE_HEIGHT);
-                const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', image.quality / 10));
-                const sequence = String(i + startSequenceNumber).padStart(2, '0');
-                const newFilename = `${image.industryCode}_${image.submissionId}_${image.date}_${sequence}.jpg`;
-                zip.file(newFilename, blob);
+        // メインの出力に続けて、追加の出力サイズ（レンディション）を書き出す
+        const outputs = [null, ...bulkSettings.renditions];
 
+        // 同時に加工する画像はWorkerの数までにし、ZIPへ書き込み終えてから次の画像を依頼する
+        // （一度にすべて依頼すると、書き込みを待つ出力画像がメモリに溜まってしまうため）
+        const imageResults = await mapWithConcurrency(images, getWorkerPool().size, async (image) => {
+            if (task.cancelled) return [];
+            try {
+                const encodedOutputs = await processImage(image, outputs, { signal: task.abortController.signal });
+                if (task.cancelled) return [];
+                const writer = zipGroups.get(getZipKey(image)).writer;
+                return await Promise.all(encodedOutputs.map(async ({ blob, quality, exceeded }, outputIndex) => {
+                    const rendition = outputs[outputIndex];
+                    const path = getImageOutputPath(bulkSettings, image, sequenceNumbers.get(image.id), rendition);
+                    const storedPath = await writer.addFile(path, blob);
+                    return { id: `${image.id}-${rendition ? rendition.id : 'main'}`, filename: storedPath, size: blob.size, quality, exceeded };
+                }));
             } catch (err) {
-                console.error("Error processing image:", image.file.name, err);
-                handleFileErrors([`画像処理エラー: ${image.file.name}`]);
+                // 中止による失敗はエラーとして表示しない
+                if (!task.cancelled) {
+                    console.error("Error processing image:", image.file.name, err);
+                    handleFileErrors([`画像処理エラー: ${image.file.name}`]);
+                }
+                return [];
+            } finally {
+                if (!task.cancelled) setProcessingProgress(advanceProgress(task));
             }
-            setProcessingProgress(p => ({ ...p, progress: p.progress + 1 }));
+        });
+        if (task.cancelled) {
+            await abortZipWriters();
+            return;
         }
+        // 結果一覧は完了順ではなく一覧の順に並べる
+        const results = imageResults.flat();
 
         const resizeEndTime = performance.now();
         const zipStartTime = performance.now();
-        const zipFile = await zip.generateAsync({ type: 'blob' });
+        const zipFiles = [];
+        try {
+            // ZIPの仕上げ中に中止された場合は、残りのZIPを仕上げずに破棄する
+            for (const group of zipGroups.values()) {
+                if (task.cancelled) break;
+                const blob = await group.writer.finish({ signal: task.abortController.signal });
+                zipFiles.push({ filename: group.filename, blob, saved: !blob });
+            }
+        } catch (err) {
+            if (task.cancelled) {
+                await abortZipWriters();
+                return;
+            }
+            console.error("Error writing ZIP file:", err);
+            await abortZipWriters();
+            handleFileErrors([`ZIPファイルの書き込みに失敗しました: ${err.message}`]);
+            setScreen('confirm-edit');
+            return;
+        }
         const zipEndTime = performance.now();
+        if (task.cancelled) {
+            await abortZipWriters();
+            return;
+        }
         
         setTimeBreakdown(prev => ({
             ...prev,
             resize: (resizeEndTime - resizeStartTime) / 1000,
             zip: (zipEndTime - zipStartTime) / 1000
         }));
-        setZipBlob(zipFile);
-        
-        const firstImage = images[0];
-        if (firstImage) {
-            setZipFilename(`${firstImage.industryCode}_${firstImage.submissionId}.zip`);
-        } else {
-            setZipFilename('processed_images.zip');
-        }
-        
+        setZipFiles(zipFiles);
+        setProcessResults(results);
         setScreen('download');
+        // 保存先へ書き込み済みの場合は、ダウンロードボタンを押さずに完了とする
+        if (zipFiles.every(zipFile => zipFile.saved)) handleDownload();
     };
 
     const handleDownload = async () => {
@@ -1654,10 +5661,10 @@ export default function App() {
             URL.revokeObjectURL(image.thumbnailUrl);
         });
         setImages([]);
-        setZipBlob(null);
-        setZipFilename('');
+        setZipFiles([]);
+        setProcessResults([]);
         setErrors([]);
-        setBulkSettings({ industryCode: '', submissionId: '', date: getFormattedDate(), quality: 9, startSequence: '1' });
+        setBulkSettings(createInitialBulkSettings());
         setIsDownloadCompleted(false);
         setProcessingStartTime(null);
 
@@ -1701,14 +5708,14 @@ export default function App() {
     const renderScreen = () => {
         switch (screen) {
             case 'initializing': return <LoadingScreen title="ライブラリを準備中..." />;
-            case 'loading': return <LoadingScreen title="画像を読み込んでいます..." progress={loadingProgress.progress} total={loadingProgress.total} />;
-            case 'bulk-settings': return <BulkSettingsScreen onNext={handleBulkSettingsNext} onBack={handleRestart} bulkSettings={bulkSettings} setBulkSettings={setBulkSettings} industryCodes={industryCodes} onConnect={handleSpreadsheetConnection} spreadsheetUrl={spreadsheetUrl} spreadsheetMode={spreadsheetMode} />;
-            case 'confirm-edit': return <ConfirmEditScreen images={images} setImages={setImages} onProcess={handleProcess} onBack={() => setScreen('bulk-settings')} industryCodes={industryCodes} bulkSettings={bulkSettings} resizeWithPadding={resizeWithPadding} />;
-            case 'processing': return <LoadingScreen title="画像を処理中です..." progress={processingProgress.progress} total={processingProgress.total} />;
-            case 'download': return <DownloadScreen zipBlob={zipBlob} zipFilename={zipFilename} onRestart={handleRestart} onDownload={handleDownload} />;
+            case 'loading': return <LoadingScreen title="画像を読み込んでいます..." progress={loadingProgress.progress} total={loadingProgress.total} remainingSeconds={loadingProgress.remainingSeconds} onCancel={handleCancelTask} />;
+            case 'bulk-settings': return <BulkSettingsScreen onNext={handleBulkSettingsNext} onBack={handleRestart} bulkSettings={bulkSettings} setBulkSettings={setBulkSettings} industryCodes={industryCodes} onConnect={handleSpreadsheetConnection} spreadsheetUrl={spreadsheetUrl} spreadsheetMode={spreadsheetMode} industrySizeProfiles={industrySizeProfiles} onSaveIndustrySizeProfile={handleSaveIndustrySizeProfile} supportedOutputFormats={supportedOutputFormats} folderGroups={folderGroups} watermarkPresets={watermarkPresets} onSaveWatermarkPreset={handleSaveWatermarkPreset} onDeleteWatermarkPreset={handleDeleteWatermarkPreset} />;
+            case 'confirm-edit': return <ConfirmEditScreen images={images} setImages={setImages} processingLimits={processingLimits} onAddFiles={handleAddFiles} onRemoveImages={handleRemoveImages} onReplaceImage={handleReplaceImage} setErrors={handleFileErrors} onProcess={handleProcess} onBack={() => setScreen('bulk-settings')} industryCodes={industryCodes} bulkSettings={bulkSettings} processImage={processImage} />;
+            case 'processing': return <LoadingScreen title="画像を処理中です..." progress={processingProgress.progress} total={processingProgress.total} remainingSeconds={processingProgress.remainingSeconds} onCancel={handleCancelTask} isPaused={isTaskPaused} onPause={handlePauseTask} onResume={handleResumeTask} />;
+            case 'download': return <DownloadScreen zipFiles={zipFiles} onRestart={handleRestart} onDownload={handleDownload} results={processResults} maxFileSizeKB={bulkSettings.maxFileSizeKB} />;
             case 'upload':
             default:
-                return <UploadScreen onFilesAccepted={handleFilesAccepted} setErrors={handleFileErrors} />;
+                return <UploadScreen onFilesAccepted={handleFilesAccepted} setErrors={handleFileErrors} processingLimits={processingLimits} onChangeProcessingLimits={handleChangeProcessingLimits} />;
         }
     };
 
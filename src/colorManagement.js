@@ -0,0 +1,399 @@
+// === カラーマネジメント（ICCプロファイル） ===
+// Display P3やAdobe RGBのプロファイルを持つ画像は、ブラウザによって色の扱いが異なり、
+// そのまま出力すると色が薄くなったり濃くなりすぎたりする。
+// 取り込み時に埋め込まれたICCプロファイルを読み取り、加工時にsRGBへ変換する。
+// 変換処理はWorkerからも使うため、DOMに依存しない処理だけをここに置く。
+
+// 読み取りに使うファイル先頭の範囲（プロファイルはファイルの先頭付近に格納される）
+const PROFILE_SEARCH_BYTES = 512 * 1024;
+
+// sRGB（D50に順応済み）の原色のXYZ値。ICCプロファイルの原色がこれに近ければsRGBとみなす
+const SRGB_COLORANTS = [
+  [0.4360747, 0.2225045, 0.0139322],
+  [0.3850649, 0.7168786, 0.0971045],
+  [0.1430804, 0.0606169, 0.7141733],
+];
+const SRGB_COLORANT_TOLERANCE = 0.01;
+
+// XYZ（D50）からリニアなsRGBへの変換行列
+const XYZ_D50_TO_LINEAR_SRGB = [
+  3.1338561, -1.6168667, -0.4906146,
+  -0.9787684, 1.9161415, 0.0334540,
+  0.0719453, -0.2289914, 1.4052427,
+];
+
+// リニアな値からsRGBに戻すときの変換表の細かさ
+const LINEAR_TABLE_SIZE = 4096;
+
+/**
+ * 文字列をASCIIのバイト列として比較する
+ * @param {Uint8Array} bytes 対象のデータ
+ * @param {number} offset 比較を始める位置
+ * @param {string} text 比較する文字列
+ * @returns {boolean} 一致する場合はtrue
+ */
+const matchesAscii = (bytes, offset, text) => {
+  if (offset < 0 || offset + text.length > bytes.length) return false;
+  for (let i = 0; i < text.length; i++) {
+    if (bytes[offset + i] !== text.charCodeAt(i)) return false;
+  }
+  return true;
+};
+
+/**
+ * JPEGのAPP2セグメント（ICC_PROFILE）に分割して格納されたプロファイルを取り出す
+ * @param {Uint8Array} bytes ファイルの先頭部分
+ * @returns {Uint8Array | null} ICCプロファイル
+ */
+const readJpegIccProfile = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const chunks = [];
+  let offset = 2;
+  while (offset + 4 <= bytes.length) {
+    const marker = view.getUint16(offset);
+    if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) break;
+    const length = view.getUint16(offset + 2);
+    if (marker === 0xFFE2 && matchesAscii(bytes, offset + 4, 'ICC_PROFILE\0')) {
+      const sequence = bytes[offset + 16];
+      chunks[sequence] = bytes.subarray(offset + 18, Math.min(bytes.length, offset + 2 + length));
+    }
+    offset += 2 + length;
+  }
+  const parts = chunks.filter(Boolean);
+  if (parts.length === 0) return null;
+  const profile = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  parts.forEach(part => {
+    profile.set(part, position);
+    position += part.length;
+  });
+  return profile;
+};
+
+/**
+ * HEIC（ISOBMFF）のcolrボックスに格納されたプロファイルを取り出す
+ * @param {Uint8Array} bytes ファイルの先頭部分
+ * @returns {Uint8Array | null} ICCプロファイル
+ */
+const readHeifIccProfile = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  for (let i = 4; i + 8 <= bytes.length; i++) {
+    if (!matchesAscii(bytes, i, 'colr')) continue;
+    if (!matchesAscii(bytes, i + 4, 'prof') && !matchesAscii(bytes, i + 4, 'rICC')) continue;
+    const boxEnd = i - 4 + view.getUint32(i - 4);
+    if (boxEnd > bytes.length || boxEnd <= i + 8) return null;
+    return bytes.slice(i + 8, boxEnd);
+  }
+  return null;
+};
+
+/**
+ * PNGのiCCPチャンクに圧縮して格納されたプロファイルを取り出す
+ * @param {Uint8Array} bytes ファイルの先頭部分
+ * @returns {Promise<Uint8Array | null>} ICCプロファイル
+ */
+const readPngIccProfile = async (bytes) => {
+  if (typeof DecompressionStream === 'undefined') return null;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = 8;
+  while (offset + 8 <= bytes.length) {
+    const length = view.getUint32(offset);
+    if (matchesAscii(bytes, offset + 4, 'IDAT') || matchesAscii(bytes, offset + 4, 'IEND')) break;
+    if (matchesAscii(bytes, offset + 4, 'iCCP') && offset + 8 + length <= bytes.length) {
+      const data = bytes.subarray(offset + 8, offset + 8 + length);
+      // プロファイル名（NUL終端）と圧縮方式の1バイトの後ろが、zlib形式で圧縮されたプロファイル
+      const nameEnd = data.indexOf(0);
+      if (nameEnd === -1) return null;
+      const stream = new Blob([data.subarray(nameEnd + 2)]).stream().pipeThrough(new DecompressionStream('deflate'));
+      return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+    offset += 12 + length;
+  }
+  return null;
+};
+
+/**
+ * 画像ファイルに埋め込まれたICCプロファイルを読み取る（JPEG・HEIC・PNGに対応）
+ * @param {Blob} file 対象のファイル
+ * @returns {Promise<Uint8Array | null>} ICCプロファイル（埋め込まれていない場合はnull）
+ */
+export const readIccProfile = async (file) => {
+  const bytes = new Uint8Array(await file.slice(0, PROFILE_SEARCH_BYTES).arrayBuffer());
+  try {
+    if (bytes[0] === 0xFF && bytes[1] === 0xD8) return readJpegIccProfile(bytes);
+    if (matchesAscii(bytes, 1, 'PNG')) return await readPngIccProfile(bytes);
+    if (matchesAscii(bytes, 4, 'ftyp')) return readHeifIccProfile(bytes);
+  } catch (err) {
+    console.warn('ICCプロファイルを読み取れませんでした:', err);
+  }
+  return null;
+};
+
+/**
+ * ICCプロファイルのタグの位置を探す
+ * @param {DataView} view プロファイル
+ * @param {string} signature タグのシグネチャ（4文字）
+ * @returns {{offset: number, size: number} | null} タグのデータの位置
+ */
+const findIccTag = (view, signature) => {
+  const tagCount = view.getUint32(128);
+  for (let i = 0; i < tagCount; i++) {
+    const entry = 132 + i * 12;
+    if (entry + 12 > view.byteLength) break;
+    const tag = String.fromCharCode(view.getUint8(entry), view.getUint8(entry + 1), view.getUint8(entry + 2), view.getUint8(entry + 3));
+    if (tag === signature) {
+      const offset = view.getUint32(entry + 4);
+      const size = view.getUint32(entry + 8);
+      return offset + size <= view.byteLength ? { offset, size } : null;
+    }
+  }
+  return null;
+};
+
+/**
+ * ICCプロファイルの名前（descタグ）を読み取る
+ * @param {DataView} view プロファイル
+ * @returns {string} 名前（読み取れない場合は空文字）
+ */
+const readIccDescription = (view) => {
+  const tag = findIccTag(view, 'desc');
+  if (!tag) return '';
+  const type = view.getUint32(tag.offset);
+  let text = '';
+  if (type === 0x64657363) { // 'desc'（v2）: ASCIIの文字列
+    const count = view.getUint32(tag.offset + 8);
+    for (let i = 0; i < count && tag.offset + 12 + i < view.byteLength; i++) {
+      const code = view.getUint8(tag.offset + 12 + i);
+      if (code === 0) break;
+      text += String.fromCharCode(code);
+    }
+  } else if (type === 0x6D6C7563) { // 'mluc'（v4）: 最初のレコードのUTF-16BEの文字列
+    const length = view.getUint32(tag.offset + 20);
+    const start = tag.offset + view.getUint32(tag.offset + 24);
+    for (let i = 0; i + 1 < length && start + i + 1 < view.byteLength; i += 2) {
+      text += String.fromCharCode(view.getUint16(start + i));
+    }
+  }
+  return text.trim();
+};
+
+/**
+ * ICCプロファイルのXYZタグ（原色）を読み取る
+ * @param {DataView} view プロファイル
+ * @param {string} signature タグのシグネチャ
+ * @returns {number[] | null} XYZ値
+ */
+const readIccXyz = (view, signature) => {
+  const tag = findIccTag(view, signature);
+  if (!tag || tag.size < 20) return null;
+  return [0, 1, 2].map(i => view.getInt32(tag.offset + 8 + i * 4) / 65536);
+};
+
+/**
+ * ICCプロファイルのトーンカーブ（TRCタグ）から、8bitの値をリニアな値に変換する表を作る
+ * @param {DataView} view プロファイル
+ * @param {string} signature タグのシグネチャ
+ * @returns {Float32Array | null} 256段階の変換表（対応していない形式の場合はnull）
+ */
+const readIccToneCurve = (view, signature) => {
+  const tag = findIccTag(view, signature);
+  if (!tag) return null;
+  const type = view.getUint32(tag.offset);
+  let evaluate = null;
+  if (type === 0x63757276) { // 'curv'
+    const count = view.getUint32(tag.offset + 8);
+    if (count === 0) {
+      evaluate = (x) => x;
+    } else if (count === 1) {
+      const gamma = view.getUint16(tag.offset + 12) / 256;
+      evaluate = (x) => x ** gamma;
+    } else {
+      const values = Array.from({ length: count }, (_, i) => view.getUint16(tag.offset + 12 + i * 2) / 65535);
+      evaluate = (x) => {
+        const position = x * (count - 1);
+        const index = Math.min(count - 2, Math.floor(position));
+        return values[index] + (values[index + 1] - values[index]) * (position - index);
+      };
+    }
+  } else if (type === 0x70617261) { // 'para'
+    const functionType = view.getUint16(tag.offset + 8);
+    const paramCounts = [1, 3, 4, 5, 7];
+    if (functionType >= paramCounts.length) return null;
+    const [g, a = 1, b = 0, c = 0, d = 0, e = 0, f = 0] = Array.from(
+      { length: paramCounts[functionType] },
+      (_, i) => view.getInt32(tag.offset + 12 + i * 4) / 65536,
+    );
+    evaluate = {
+      0: (x) => x ** g,
+      1: (x) => (x >= -b / a ? (a * x + b) ** g : 0),
+      2: (x) => (x >= -b / a ? (a * x + b) ** g + c : c),
+      3: (x) => (x >= d ? (a * x + b) ** g : c * x),
+      4: (x) => (x >= d ? (a * x + b) ** g + e : c * x + f),
+    }[functionType];
+  }
+  if (!evaluate) return null;
+  const table = new Float32Array(256);
+  for (let i = 0; i < 256; i++) table[i] = Math.min(1, Math.max(0, evaluate(i / 255)));
+  return table;
+};
+
+/**
+ * 3x3の行列の積を求める
+ * @param {number[]} a 行列（行優先の9要素）
+ * @param {number[]} b 行列（行優先の9要素）
+ * @returns {number[]} a × b
+ */
+const multiplyMatrix3 = (a, b) => [0, 1, 2].flatMap(row => [0, 1, 2].map(col => (
+  a[row * 3] * b[col] + a[row * 3 + 1] * b[3 + col] + a[row * 3 + 2] * b[6 + col]
+)));
+
+/**
+ * ICCプロファイルを解析し、sRGBかどうかとsRGBへの変換内容を取得する
+ * 変換できるのは、原色（rXYZ/gXYZ/bXYZ）とトーンカーブで表されるRGBのプロファイルのみ
+ * @param {Uint8Array} profile ICCプロファイル
+ * @returns {{name: string, isSrgb: boolean, conversion: {linearTables: Float32Array[], matrix: number[]} | null} | null} 解析結果（RGBのプロファイルでない場合はnull）
+ */
+export const parseIccProfile = (profile) => {
+  if (!profile || profile.length < 132) return null;
+  const view = new DataView(profile.buffer, profile.byteOffset, profile.byteLength);
+  if (view.getUint32(16) !== 0x52474220) return null; // 色空間が'RGB 'でない（CMYKやグレー）
+
+  const name = readIccDescription(view);
+  const colorants = ['rXYZ', 'gXYZ', 'bXYZ'].map(signature => readIccXyz(view, signature));
+  const linearTables = ['rTRC', 'gTRC', 'bTRC'].map(signature => readIccToneCurve(view, signature));
+  if (colorants.some(c => !c) || linearTables.some(t => !t)) {
+    return { name, isSrgb: /srgb/i.test(name), conversion: null };
+  }
+
+  const isSrgb = colorants.every((colorant, i) => (
+    colorant.every((value, j) => Math.abs(value - SRGB_COLORANTS[i][j]) < SRGB_COLORANT_TOLERANCE)
+  ));
+  // 原色のXYZ値を列とする行列が、リニアなRGBからXYZ（D50）への変換になる
+  const toXyz = [0, 1, 2].flatMap(row => colorants.map(colorant => colorant[row]));
+  return {
+    name,
+    isSrgb,
+    conversion: isSrgb ? null : { linearTables, matrix: multiplyMatrix3(XYZ_D50_TO_LINEAR_SRGB, toXyz) },
+  };
+};
+
+let linearToSrgbTable = null;
+
+/**
+ * RGBAの画素データを、元のプロファイルの色からsRGBに変換する
+ * sRGBの範囲外の色は、チャンネルごとに範囲内に収める
+ * @param {Uint8ClampedArray} data RGBAの画素データ（書き換える）
+ * @param {{linearTables: Float32Array[], matrix: number[]}} conversion parseIccProfileで求めた変換内容
+ */
+export const convertPixelsToSrgb = (data, conversion) => {
+  if (!linearToSrgbTable) {
+    linearToSrgbTable = new Uint8ClampedArray(LINEAR_TABLE_SIZE + 1);
+    for (let i = 0; i <= LINEAR_TABLE_SIZE; i++) {
+      const c = i / LINEAR_TABLE_SIZE;
+      linearToSrgbTable[i] = Math.round((c <= 0.0031308 ? c * 12.92 : 1.055 * c ** (1 / 2.4) - 0.055) * 255);
+    }
+  }
+  const [rTable, gTable, bTable] = conversion.linearTables;
+  const m = conversion.matrix;
+  const toSrgb = (value) => linearToSrgbTable[Math.round(Math.min(1, Math.max(0, value)) * LINEAR_TABLE_SIZE)];
+  for (let i = 0; i < data.length; i += 4) {
+    const r = rTable[data[i]];
+    const g = gTable[data[i + 1]];
+    const b = bTable[data[i + 2]];
+    data[i] = toSrgb(m[0] * r + m[1] * g + m[2] * b);
+    data[i + 1] = toSrgb(m[3] * r + m[4] * g + m[5] * b);
+    data[i + 2] = toSrgb(m[6] * r + m[7] * g + m[8] * b);
+  }
+};
+
+let srgbProfile = null;
+
+/**
+ * 出力画像に埋め込むsRGBのICCプロファイル（v2）を生成する
+ * @returns {Uint8Array} ICCプロファイル
+ */
+const createSrgbProfile = () => {
+  const encoder = new TextEncoder();
+  const name = 'sRGB IEC61966-2.1';
+  const copyright = 'No copyright, use freely';
+  const curveSize = 1024;
+  const align = (size) => Math.ceil(size / 4) * 4;
+  const xyz = (values) => ({ type: 'XYZ ', size: 20, write: (view, offset) => values.forEach((v, i) => view.setInt32(offset + 8 + i * 4, Math.round(v * 65536))) });
+  const curve = {
+    type: 'curv',
+    size: 12 + curveSize * 2,
+    write: (view, offset) => {
+      view.setUint32(offset + 8, curveSize);
+      for (let i = 0; i < curveSize; i++) {
+        const c = i / (curveSize - 1);
+        view.setUint16(offset + 12 + i * 2, Math.round((c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4) * 65535));
+      }
+    },
+  };
+  const description = {
+    type: 'desc',
+    size: 12 + name.length + 1 + 4 + 4 + 2 + 1 + 67,
+    write: (view, offset, bytes) => {
+      view.setUint32(offset + 8, name.length + 1);
+      bytes.set(encoder.encode(name), offset + 12);
+    },
+  };
+  const text = { type: 'text', size: 8 + copyright.length + 1, write: (view, offset, bytes) => bytes.set(encoder.encode(copyright), offset + 8) };
+
+  // トーンカーブは3つのタグで同じデータを共有する
+  const tags = [
+    ['desc', description],
+    ['cprt', text],
+    ['wtpt', xyz([0.9642, 1, 0.8249])],
+    ['rXYZ', xyz(SRGB_COLORANTS[0])],
+    ['gXYZ', xyz(SRGB_COLORANTS[1])],
+    ['bXYZ', xyz(SRGB_COLORANTS[2])],
+    ['rTRC', curve],
+    ['gTRC', curve],
+    ['bTRC', curve],
+  ];
+  const dataOffsets = new Map();
+  let size = 128 + 4 + tags.length * 12;
+  tags.forEach(([, data]) => {
+    if (dataOffsets.has(data)) return;
+    dataOffsets.set(data, size);
+    size += align(data.size);
+  });
+
+  const bytes = new Uint8Array(size);
+  const view = new DataView(bytes.buffer);
+  view.setUint32(0, size);
+  view.setUint32(8, 0x02100000); // バージョン2.1
+  bytes.set(encoder.encode('mntrRGB XYZ '), 12);
+  bytes.set(encoder.encode('acsp'), 36);
+  [0.9642, 1, 0.8249].forEach((v, i) => view.setInt32(68 + i * 4, Math.round(v * 65536))); // PCSの白色点（D50）
+  view.setUint32(128, tags.length);
+  tags.forEach(([signature, data], i) => {
+    const entry = 132 + i * 12;
+    bytes.set(encoder.encode(signature), entry);
+    view.setUint32(entry + 4, dataOffsets.get(data));
+    view.setUint32(entry + 8, data.size);
+  });
+  dataOffsets.forEach((offset, data) => {
+    bytes.set(encoder.encode(data.type), offset);
+    data.write(view, offset, bytes);
+  });
+  return bytes;
+};
+
+/**
+ * JPEGに埋め込むsRGBプロファイルのAPP2セグメントを取得する
+ * @returns {Uint8Array} APP2セグメント（マーカーを含む）
+ */
+export const getSrgbIccSegment = () => {
+  if (!srgbProfile) srgbProfile = createSrgbProfile();
+  const segment = new Uint8Array(18 + srgbProfile.length);
+  const view = new DataView(segment.buffer);
+  view.setUint16(0, 0xFFE2);
+  view.setUint16(2, 16 + srgbProfile.length);
+  segment.set(new TextEncoder().encode('ICC_PROFILE\0'), 4);
+  segment[16] = 1; // 分割したうちの番号
+  segment[17] = 1; // 分割数
+  segment.set(srgbProfile, 18);
+  return segment;
+};
@@ -0,0 +1,815 @@
+// === 画像加工パイプライン ===
+// メインスレッドとWeb Workerの両方から使うため、DOMに依存しない処理だけをここに置く。
+// どちらで処理しても同じ結果になるよう、デコードからエンコードまで同じコードを通す。
+
+import { resamplePixels } from './resampler.js';
+import { convertPixelsToSrgb } from './colorManagement.js';
+
+// 余白の既定の色
+export const DEFAULT_PADDING_COLOR = '#FFFFFF';
+
+// ファイルサイズの上限に合わせて画質を下げるときの下限（%）
+export const MIN_SEARCH_QUALITY_PERCENT = 10;
+
+// EXIFのOrientationごとの補正（左右反転してから時計回りに回転する）
+const EXIF_ORIENTATION_TRANSFORMS = {
+  1: { rotation: 0, flip: false },
+  2: { rotation: 0, flip: true },
+  3: { rotation: 180, flip: false },
+  4: { rotation: 180, flip: true },
+  5: { rotation: 270, flip: true },
+  6: { rotation: 90, flip: false },
+  7: { rotation: 90, flip: true },
+  8: { rotation: 270, flip: false },
+};
+
+/**
+ * 作業用のキャンバスを生成する
+ * OffscreenCanvasが使える環境では、Workerとメインスレッドで同じ結果になるよう常にそちらを使う
+ * @param {number} width 幅
+ * @param {number} height 高さ
+ * @returns {OffscreenCanvas|HTMLCanvasElement} キャンバス
+ */
+export const createCanvas = (width, height) => {
+  if (typeof OffscreenCanvas !== 'undefined') {
+    return new OffscreenCanvas(width, height);
+  }
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+/**
+ * 画像のURLを読み込み、描画できる形式にデコードする
+ * @param {string} imageUrl 画像のURL（Object URLを含む）
+ * @param {ImageBitmapOptions} [options] デコードのオプション
+ * @returns {Promise<ImageBitmap>} デコードした画像（使い終わったらclose()する）
+ */
+export const decodeImage = async (imageUrl, options = {}) => {
+  const response = await fetch(imageUrl);
+  return createImageBitmap(await response.blob(), options);
+};
+
+/**
+ * 2x2の変換行列を掛け合わせる（[a, b, c, d]はCanvasのsetTransformと同じ並び）
+ * @param {number[]} next 後から適用する変換
+ * @param {number[]} current 先に適用する変換
+ * @returns {number[]} 合成した変換
+ */
+const multiplyMatrix = (next, current) => [
+  next[0] * current[0] + next[2] * current[1],
+  next[1] * current[0] + next[3] * current[1],
+  next[0] * current[2] + next[2] * current[3],
+  next[1] * current[2] + next[3] * current[3],
+];
+
+/**
+ * 時計回りの回転行列を取得する
+ * @param {number} degrees 角度（度）
+ * @returns {number[]} 変換行列
+ */
+const rotationMatrix = (degrees) => {
+  const rad = (degrees * Math.PI) / 180;
+  return [Math.cos(rad), Math.sin(rad), -Math.sin(rad), Math.cos(rad)];
+};
+
+/**
+ * 向きの変換に使う行列と、変換後の画像の大きさを計算する
+ * EXIFのOrientation → 90°単位の回転 → 反転 → 傾き補正の順に適用する
+ * 傾き補正では、四隅に余白が出ないよう元の縦横比のまま拡大して切り抜く
+ * @param {number} sourceWidth 元画像の幅
+ * @param {number} sourceHeight 元画像の高さ
+ * @param {object} transform 変換内容（createTransformedCanvasと同じ）
+ * @param {number} [maxDimension] 変換後の長辺の上限
+ * @returns {{matrix: number[], width: number, height: number, isIdentity: boolean}} 画像の中心を原点とした変換行列と、変換後の大きさ
+ */
+const getTransformGeometry = (sourceWidth, sourceHeight, transform = {}, maxDimension = Infinity) => {
+  const { orientation = 1, rotation = 0, flipHorizontal = false, flipVertical = false, straighten = 0 } = transform;
+  const exifTransform = EXIF_ORIENTATION_TRANSFORMS[orientation] || EXIF_ORIENTATION_TRANSFORMS[1];
+  const totalRotation = (exifTransform.rotation + rotation) % 360;
+  const isSwapped = totalRotation % 180 !== 0;
+  const width = isSwapped ? sourceHeight : sourceWidth;
+  const height = isSwapped ? sourceWidth : sourceHeight;
+  const scale = Math.min(1, maxDimension / Math.max(width, height));
+
+  const isIdentity = totalRotation === 0 && !exifTransform.flip && !flipHorizontal && !flipVertical && !straighten && scale === 1;
+
+  let matrix = [1, 0, 0, 1];
+  const apply = (next) => { matrix = multiplyMatrix(next, matrix); };
+  if (exifTransform.flip) apply([-1, 0, 0, 1]);
+  apply(rotationMatrix(totalRotation));
+  if (flipHorizontal) apply([-1, 0, 0, 1]);
+  if (flipVertical) apply([1, 0, 0, -1]);
+  if (straighten) {
+    const rad = (Math.abs(straighten) * Math.PI) / 180;
+    const coverScale = Math.max(
+      (width * Math.cos(rad) + height * Math.sin(rad)) / width,
+      (width * Math.sin(rad) + height * Math.cos(rad)) / height
+    );
+    apply(rotationMatrix(straighten));
+    apply([coverScale, 0, 0, coverScale]);
+  }
+  apply([scale, 0, 0, scale]);
+
+  return {
+    matrix,
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale)),
+    isIdentity,
+  };
+};
+
+/**
+ * 画像の向きを変換したキャンバスを生成する
+ * @param {CanvasImageSource} source 元画像
+ * @param {{orientation?: number, rotation?: number, flipHorizontal?: boolean, flipVertical?: boolean, straighten?: number}} transform 変換内容
+ * @param {number} [maxDimension] 出力の長辺の上限
+ * @returns {CanvasImageSource} 変換後の画像（変換が不要な場合は元画像をそのまま返す）
+ */
+export const createTransformedCanvas = (source, transform = {}, maxDimension = Infinity) => {
+  const { matrix, width, height, isIdentity } = getTransformGeometry(source.width, source.height, transform, maxDimension);
+  if (isIdentity) return source;
+
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingQuality = 'high';
+  ctx.setTransform(...matrix, canvas.width / 2, canvas.height / 2);
+  ctx.drawImage(source, -source.width / 2, -source.height / 2);
+  return canvas;
+};
+
+/**
+ * 元画像の座標と、向きを変換した後の画像の座標を相互に変換する関数を生成する
+ * モザイクなどの範囲は元画像の座標で保存し、回転やトリミングを変えても同じ場所に適用されるようにする
+ * @param {number} sourceWidth 元画像の幅
+ * @param {number} sourceHeight 元画像の高さ
+ * @param {object} transform 変換内容（createTransformedCanvasと同じ）
+ * @returns {{width: number, height: number, scale: number, toSource: (point: number[]) => number[], fromSource: (point: number[]) => number[]}} 変換後の大きさ、元画像に対する拡大率、座標の変換関数
+ */
+export const createPointMapper = (sourceWidth, sourceHeight, transform = {}) => {
+  const { matrix: [a, b, c, d], width, height } = getTransformGeometry(sourceWidth, sourceHeight, transform);
+  const determinant = a * d - b * c;
+  return {
+    width,
+    height,
+    scale: Math.sqrt(Math.abs(determinant)),
+    fromSource: ([x, y]) => {
+      const px = x - sourceWidth / 2;
+      const py = y - sourceHeight / 2;
+      return [a * px + c * py + width / 2, b * px + d * py + height / 2];
+    },
+    toSource: ([x, y]) => {
+      const px = x - width / 2;
+      const py = y - height / 2;
+      return [(d * px - c * py) / determinant + sourceWidth / 2, (-b * px + a * py) / determinant + sourceHeight / 2];
+    },
+  };
+};
+
+/**
+ * 合わせ方に応じて、元画像の切り出し範囲と出力キャンバス上の描画範囲を計算する
+ * @param {number} srcWidth 元画像の幅
+ * @param {number} srcHeight 元画像の高さ
+ * @param {number} targetWidth 出力幅
+ * @param {number} targetHeight 出力高さ
+ * @param {string} fitMode FIT_MODESのID
+ * @returns {{sx: number, sy: number, sw: number, sh: number, dx: number, dy: number, dw: number, dh: number}} 切り出し範囲(s*)と描画範囲(d*)
+ */
+export const calculateFitRect = (srcWidth, srcHeight, targetWidth, targetHeight, fitMode) => {
+  const fullSource = { sx: 0, sy: 0, sw: srcWidth, sh: srcHeight };
+
+  if (fitMode === 'stretch') {
+    return { ...fullSource, dx: 0, dy: 0, dw: targetWidth, dh: targetHeight };
+  }
+
+  if (fitMode === 'cover') {
+    // 出力枠の縦横比で元画像の中央を切り出す
+    const scale = Math.max(targetWidth / srcWidth, targetHeight / srcHeight);
+    const sw = Math.min(srcWidth, Math.round(targetWidth / scale));
+    const sh = Math.min(srcHeight, Math.round(targetHeight / scale));
+    return {
+      sx: Math.floor((srcWidth - sw) / 2),
+      sy: Math.floor((srcHeight - sh) / 2),
+      sw,
+      sh,
+      dx: 0,
+      dy: 0,
+      dw: targetWidth,
+      dh: targetHeight,
+    };
+  }
+
+  let scale = Math.min(targetWidth / srcWidth, targetHeight / srcHeight);
+  if (fitMode === 'shrink') {
+    scale = Math.min(scale, 1);
+  }
+  const dw = srcWidth * scale;
+  const dh = srcHeight * scale;
+  return { ...fullSource, dx: (targetWidth - dw) / 2, dy: (targetHeight - dh) / 2, dw, dh };
+};
+
+/**
+ * 縮小してから拡大し直すことで、ぼかした背景を描画する
+ * ctx.filterはブラウザによって未対応のため使用しない
+ * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx 描画先のコンテキスト
+ * @param {CanvasImageSource} source 背景に使う画像
+ * @param {number} width 描画先の幅
+ * @param {number} height 描画先の高さ
+ */
+const drawBlurredBackground = (ctx, source, width, height) => {
+  const rect = calculateFitRect(source.width, source.height, width, height, 'cover');
+  let blurCanvas = source;
+  let sourceRect = [rect.sx, rect.sy, rect.sw, rect.sh];
+
+  // 1/24まで縮小したものを1/6に拡大してから最終サイズに描くと、ブロック感の少ないぼかしになる
+  for (const divisor of [24, 6]) {
+    const nextCanvas = createCanvas(Math.max(1, Math.round(width / divisor)), Math.max(1, Math.round(height / divisor)));
+    const nextCtx = nextCanvas.getContext('2d');
+    nextCtx.imageSmoothingQuality = 'high';
+    nextCtx.drawImage(blurCanvas, ...sourceRect, 0, 0, nextCanvas.width, nextCanvas.height);
+    blurCanvas = nextCanvas;
+    sourceRect = [0, 0, nextCanvas.width, nextCanvas.height];
+  }
+
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(blurCanvas, 0, 0, width, height);
+};
+
+/**
+ * 画像の端で最も多く使われている色を取得する
+ * @param {CanvasImageSource} source 対象の画像
+ * @param {{horizontal: boolean, vertical: boolean}} edges 調べる端（horizontal: 上下、vertical: 左右）
+ * @returns {string} CSSの色指定
+ */
+const getDominantEdgeColor = (source, edges) => {
+  const SAMPLE_SIZE = 64;
+  const scale = Math.min(1, SAMPLE_SIZE / Math.max(source.width, source.height));
+  const width = Math.max(1, Math.round(source.width * scale));
+  const height = Math.max(1, Math.round(source.height * scale));
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(source, 0, 0, width, height);
+  const { data } = ctx.getImageData(0, 0, width, height);
+
+  // 色を各4bitに量子化して出現数を数え、最も多い色の平均を使う
+  const buckets = new Map();
+  const addPixel = (x, y) => {
+    const i = (y * width + x) * 4;
+    const key = ((data[i] >> 4) << 8) | ((data[i + 1] >> 4) << 4) | (data[i + 2] >> 4);
+    const bucket = buckets.get(key) || { count: 0, r: 0, g: 0, b: 0 };
+    bucket.count++;
+    bucket.r += data[i];
+    bucket.g += data[i + 1];
+    bucket.b += data[i + 2];
+    buckets.set(key, bucket);
+  };
+  if (edges.horizontal) {
+    for (let x = 0; x < width; x++) {
+      addPixel(x, 0);
+      addPixel(x, height - 1);
+    }
+  }
+  if (edges.vertical) {
+    for (let y = 0; y < height; y++) {
+      addPixel(0, y);
+      addPixel(width - 1, y);
+    }
+  }
+
+  let dominant = null;
+  buckets.forEach(bucket => {
+    if (!dominant || bucket.count > dominant.count) dominant = bucket;
+  });
+  if (!dominant) return DEFAULT_PADDING_COLOR;
+  const toChannel = (sum) => Math.round(sum / dominant.count);
+  return `rgb(${toChannel(dominant.r)}, ${toChannel(dominant.g)}, ${toChannel(dominant.b)})`;
+};
+
+// 自動トリミングで、帯とみなす1行（1列）のうち基準の色と異なってもよい画素の割合（スキャン時のゴミや圧縮ノイズのため）
+const TRIM_OUTLIER_RATIO = 0.005;
+// 自動トリミング後に残す範囲の最小の割合（ほとんどが単色の画像を丸ごと削らないため）
+const MIN_TRIM_REMAINING_RATIO = 0.1;
+
+/**
+ * 画像の縁にある単色の帯（動画の黒帯やスキャナーの余白など）を検出し、帯を除いた範囲を取得する
+ * 上下を先に調べ、左右は上下の帯を除いた行の範囲だけで調べる
+ * 各辺とも最も外側の行（列）の平均色を基準とし、基準との差が許容範囲内の行（列）が続く部分を帯とみなす
+ * @param {CanvasImageSource} source 対象の画像
+ * @param {{x: number, y: number, width: number, height: number}} region 調べる範囲
+ * @param {number} tolerance 色の差の許容範囲（0〜100%）
+ * @returns {{x: number, y: number, width: number, height: number} | null} 帯を除いた範囲（帯がない場合、ほとんどが単色の場合はnull）
+ */
+const detectTrimBox = (source, region, tolerance) => {
+  const { width, height } = region;
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(source, region.x, region.y, width, height, 0, 0, width, height);
+  const { data } = ctx.getImageData(0, 0, width, height);
+  const threshold = (tolerance / 100) * 255;
+
+  // 1行（1列）は、先頭の画素の位置・次の画素までの間隔・画素数で表す
+  const getLineColor = ([start, step, count]) => {
+    const sum = [0, 0, 0, 0];
+    for (let n = 0; n < count; n++) {
+      const i = (start + n * step) * 4;
+      for (let c = 0; c < 4; c++) sum[c] += data[i + c];
+    }
+    return sum.map(value => value / count);
+  };
+  const isUniformLine = ([start, step, count], reference) => {
+    const maxOutliers = Math.floor(count * TRIM_OUTLIER_RATIO);
+    let outliers = 0;
+    for (let n = 0; n < count; n++) {
+      const i = (start + n * step) * 4;
+      const diff = Math.max(
+        Math.abs(data[i] - reference[0]),
+        Math.abs(data[i + 1] - reference[1]),
+        Math.abs(data[i + 2] - reference[2]),
+        Math.abs(data[i + 3] - reference[3])
+      );
+      if (diff > threshold && ++outliers > maxOutliers) return false;
+    }
+    return true;
+  };
+  const scanEdge = (getLine, limit) => {
+    const reference = getLineColor(getLine(0));
+    let trimmed = 0;
+    while (trimmed < limit && isUniformLine(getLine(trimmed), reference)) trimmed++;
+    return trimmed;
+  };
+
+  const top = scanEdge(y => [y * width, 1, width], height);
+  const bottom = scanEdge(y => [(height - 1 - y) * width, 1, width], height - top);
+  const innerHeight = height - top - bottom;
+  if (innerHeight < height * MIN_TRIM_REMAINING_RATIO) return null;
+  const left = scanEdge(x => [top * width + x, width, innerHeight], width);
+  const right = scanEdge(x => [top * width + width - 1 - x, width, innerHeight], width - left);
+  const innerWidth = width - left - right;
+  if (innerWidth < width * MIN_TRIM_REMAINING_RATIO) return null;
+  if (top + bottom + left + right === 0) return null;
+  return { x: region.x + left, y: region.y + top, width: innerWidth, height: innerHeight };
+};
+
+// 写真の補正で0以外の値のときに処理する項目（autoLevelsは真偽値）
+const ADJUSTMENT_AMOUNT_KEYS = ['brightness', 'contrast', 'saturation', 'temperature', 'tint', 'sharpen'];
+// 自動レベル補正で切り捨てる暗部・明部の画素の割合
+const AUTO_LEVELS_CLIP_RATIO = 0.005;
+
+/**
+ * 写真の補正が指定されているかどうかを判定する
+ * @param {object | null} adjustments 補正内容
+ * @returns {boolean} 何らかの補正を行う場合はtrue
+ */
+export const hasAdjustments = (adjustments) => (
+  Boolean(adjustments) && (adjustments.autoLevels || ADJUSTMENT_AMOUNT_KEYS.some(key => adjustments[key] !== 0))
+);
+
+/**
+ * 自動レベル補正の範囲をチャンネルごとに求める
+ * チャンネルごとに伸ばすため、色かぶり（ホワイトバランスのずれ）も合わせて補正される
+ * @param {Uint8ClampedArray} data RGBAの画素データ
+ * @returns {{low: number, high: number}[]} R・G・Bそれぞれの暗部・明部の値
+ */
+const getAutoLevelsRange = (data) => {
+  const histograms = [new Uint32Array(256), new Uint32Array(256), new Uint32Array(256)];
+  let count = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] === 0) continue; // 透明な画素は数えない
+    histograms[0][data[i]]++;
+    histograms[1][data[i + 1]]++;
+    histograms[2][data[i + 2]]++;
+    count++;
+  }
+  const clipCount = count * AUTO_LEVELS_CLIP_RATIO;
+  return histograms.map(histogram => {
+    let low = 0;
+    for (let sum = 0; low < 255 && sum + histogram[low] <= clipCount; low++) sum += histogram[low];
+    let high = 255;
+    for (let sum = 0; high > 0 && sum + histogram[high] <= clipCount; high--) sum += histogram[high];
+    return high - low < 16 ? { low: 0, high: 255 } : { low, high }; // 単色に近い画像は補正しない
+  });
+};
+
+/**
+ * アンシャープマスクでシャープにする（3x3のぼかしとの差を強調する）
+ * @param {Uint8ClampedArray} data RGBAの画素データ（書き換える）
+ * @param {number} width 幅
+ * @param {number} height 高さ
+ * @param {number} amount 強さ（0〜1）
+ */
+const applyUnsharpMask = (data, width, height, amount) => {
+  const source = new Uint8ClampedArray(data);
+  const strength = amount * 1.5;
+  for (let y = 0; y < height; y++) {
+    const top = Math.max(0, y - 1);
+    const bottom = Math.min(height - 1, y + 1);
+    for (let x = 0; x < width; x++) {
+      const left = Math.max(0, x - 1);
+      const right = Math.min(width - 1, x + 1);
+      const i = (y * width + x) * 4;
+      for (let channel = 0; channel < 3; channel++) {
+        let sum = 0;
+        for (let yy = top; yy <= bottom; yy++) {
+          for (let xx = left; xx <= right; xx++) sum += source[(yy * width + xx) * 4 + channel];
+        }
+        const blurred = sum / ((bottom - top + 1) * (right - left + 1));
+        data[i + channel] = source[i + channel] + (source[i + channel] - blurred) * strength;
+      }
+    }
+  }
+};
+
+/**
+ * キャンバスに写真の補正（自動レベル補正・ホワイトバランス・明るさ・コントラスト・彩度・シャープ）を適用する
+ * 各値は-100〜100（シャープは0〜100）で、0の場合はその補正を行わない
+ * @param {OffscreenCanvas|HTMLCanvasElement} canvas 対象のキャンバス（書き換える）
+ * @param {{autoLevels: boolean, brightness: number, contrast: number, saturation: number, temperature: number, tint: number, sharpen: number}} adjustments 補正内容
+ */
+const applyAdjustments = (canvas, adjustments) => {
+  const { width, height } = canvas;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  const imageData = ctx.getImageData(0, 0, width, height);
+  const { data } = imageData;
+
+  // 画素ごとの計算を減らすため、レベル補正からコントラストまではチャンネルごとの変換表にまとめる
+  const levels = adjustments.autoLevels ? getAutoLevelsRange(data) : [0, 1, 2].map(() => ({ low: 0, high: 255 }));
+  // 色温度は赤と青、色かぶり（緑〜マゼンタ）は緑の強さで調整する
+  const gains = [
+    1 + adjustments.temperature / 500,
+    1 - adjustments.tint / 500,
+    1 - adjustments.temperature / 500,
+  ];
+  const brightness = adjustments.brightness * 1.28;
+  const contrastLevel = adjustments.contrast * 2.55;
+  const contrastFactor = (259 * (contrastLevel + 255)) / (255 * (259 - contrastLevel));
+  const lookupTables = levels.map(({ low, high }, channel) => {
+    const table = new Uint8ClampedArray(256);
+    for (let value = 0; value < 256; value++) {
+      let result = ((value - low) * 255) / (high - low);
+      result = result * gains[channel] + brightness;
+      table[value] = contrastFactor * (result - 128) + 128;
+    }
+    return table;
+  });
+
+  const saturation = 1 + adjustments.saturation / 100;
+  for (let i = 0; i < data.length; i += 4) {
+    const r = lookupTables[0][data[i]];
+    const g = lookupTables[1][data[i + 1]];
+    const b = lookupTables[2][data[i + 2]];
+    if (saturation === 1) {
+      data[i] = r;
+      data[i + 1] = g;
+      data[i + 2] = b;
+    } else {
+      const luminance = 0.299 * r + 0.587 * g + 0.114 * b;
+      data[i] = luminance + (r - luminance) * saturation;
+      data[i + 1] = luminance + (g - luminance) * saturation;
+      data[i + 2] = luminance + (b - luminance) * saturation;
+    }
+  }
+
+  if (adjustments.sharpen > 0) {
+    applyUnsharpMask(data, width, height, adjustments.sharpen / 100);
+  }
+  ctx.putImageData(imageData, 0, 0);
+};
+
+/**
+ * キャンバスを指定形式でエンコードする
+ * @param {OffscreenCanvas|HTMLCanvasElement} canvas 対象のキャンバス
+ * @param {string} mimeType 出力形式
+ * @param {number} quality 画質（0〜1）
+ * @returns {Promise<Blob>} エンコード結果
+ */
+export const canvasToBlob = async (canvas, mimeType, quality) => {
+  const blob = canvas.convertToBlob
+    ? await canvas.convertToBlob({ type: mimeType, quality })
+    : await new Promise(resolve => canvas.toBlob(resolve, mimeType, quality));
+  if (!blob) {
+    throw new Error('画像のエンコードに失敗しました。');
+  }
+  if (blob.type !== mimeType) {
+    throw new Error(`このブラウザは${mimeType}のエンコードに対応していません。`);
+  }
+  return blob;
+};
+
+/**
+ * ファイルサイズの上限に収まる最も高い画質でエンコードする
+ * 上限を指定しない場合や、指定の画質で収まる場合はそのままエンコードする
+ * 可逆圧縮の形式は画質を変えられないため、上限を超えた場合はそのまま超過として返す
+ * @param {OffscreenCanvas|HTMLCanvasElement} canvas 対象のキャンバス
+ * @param {object} format OUTPUT_FORMATSの要素
+ * @param {number} maxQuality 使用する最高画質（0〜1）
+ * @param {number | null} maxBytes ファイルサイズの上限（バイト）
+ * @returns {Promise<{blob: Blob, quality: number | null, exceeded: boolean}>} エンコード結果、使用した画質（可逆圧縮の場合はnull）、上限を超えたかどうか
+ */
+export const encodeWithinFileSize = async (canvas, format, maxQuality, maxBytes) => {
+  const mimeType = format.mimeType;
+  if (!format.isLossy) {
+    const blob = await canvasToBlob(canvas, mimeType);
+    return { blob, quality: null, exceeded: Boolean(maxBytes) && blob.size > maxBytes };
+  }
+
+  const firstBlob = await canvasToBlob(canvas, mimeType, maxQuality);
+  if (!maxBytes || firstBlob.size <= maxBytes) {
+    return { blob: firstBlob, quality: maxQuality, exceeded: false };
+  }
+
+  // 画質(%)を二分探索し、上限に収まる最も高い画質を探す
+  let low = MIN_SEARCH_QUALITY_PERCENT;
+  let high = Math.round(maxQuality * 100) - 1;
+  let best = null;
+  while (low <= high) {
+    const percent = Math.floor((low + high) / 2);
+    const blob = await canvasToBlob(canvas, mimeType, percent / 100);
+    if (blob.size <= maxBytes) {
+      best = { blob, quality: percent / 100, exceeded: false };
+      low = percent + 1;
+    } else {
+      high = percent - 1;
+    }
+  }
+  if (best) return best;
+
+  const minQuality = MIN_SEARCH_QUALITY_PERCENT / 100;
+  return { blob: await canvasToBlob(canvas, mimeType, minQuality), quality: minQuality, exceeded: true };
+};
+
+/**
+ * 画像を出力サイズに合わせて縮小し（補正があれば適用して）、余白を塗りつぶしたキャンバスを生成する
+ * @param {CanvasImageSource} image デコード済みの元画像
+ * @param {object} job 加工内容（createProcessJobで生成したもの）
+ * @returns {{canvas: OffscreenCanvas|HTMLCanvasElement, trimBox: object | null, sourceSize: {width: number, height: number}}} 加工後のキャンバス、自動トリミングで使った範囲（向きの補正後の画像の座標と大きさ）、向きの補正後の元画像の大きさ
+ */
+export const resizeWithPadding = (image, job) => {
+  const { width: targetWidth, height: targetHeight, fitMode, paddingFill, paddingColor, format } = job;
+  // 向きの補正を適用した画像を元画像とし、トリミング範囲が指定されていればその範囲を使う
+  // 指定がなく自動トリミングが有効な場合は、縁の単色の帯を除いた範囲を使う（余白の外側に帯が残らないようにする）
+  const sourceImage = createTransformedCanvas(image, job.transform);
+  const fullSource = { x: 0, y: 0, width: sourceImage.width, height: sourceImage.height };
+  const trimBox = !job.crop && job.autoTrim ? detectTrimBox(sourceImage, fullSource, job.autoTrim.tolerance) : null;
+  const source = job.crop || trimBox || fullSource;
+  const rect = calculateFitRect(source.width, source.height, targetWidth, targetHeight, fitMode);
+
+  const usePixelResampling = Boolean(job.resampling) && job.resampling !== 'fast';
+
+  // 使用する範囲だけを切り出してから縮小する
+  let currentCanvas = createCanvas(rect.sw, rect.sh);
+  const cropCtx = currentCanvas.getContext('2d', { willReadFrequently: usePixelResampling || Boolean(job.colorConversion) });
+  cropCtx.drawImage(sourceImage, source.x + rect.sx, source.y + rect.sy, rect.sw, rect.sh, 0, 0, rect.sw, rect.sh);
+
+  // 色の変換は縮小する前に行う
+  // 画素を直接計算する縮小はsRGBの特性で線形化するため、元のプロファイルのまま縮小すると色が混ざる部分がずれる
+  if (job.colorConversion) {
+    const imageData = cropCtx.getImageData(0, 0, rect.sw, rect.sh);
+    convertPixelsToSrgb(imageData.data, job.colorConversion);
+    cropCtx.putImageData(imageData, 0, 0);
+  }
+
+  // 画素を直接計算する方式では、描画位置も整数に揃えてブラウザによる拡大縮小を挟まないようにする
+  let drawRect = rect;
+  if (usePixelResampling) {
+    const width = Math.max(1, Math.round(rect.dw));
+    const height = Math.max(1, Math.round(rect.dh));
+    if (width !== rect.sw || height !== rect.sh) {
+      const { data } = cropCtx.getImageData(0, 0, rect.sw, rect.sh);
+      const resizedCanvas = createCanvas(width, height);
+      resizedCanvas.getContext('2d').putImageData(new ImageData(resamplePixels(data, rect.sw, rect.sh, width, height, job.resampling), width, height), 0, 0);
+      currentCanvas = resizedCanvas;
+    }
+    drawRect = { dx: Math.round(rect.dx), dy: Math.round(rect.dy), dw: width, dh: height };
+  }
+
+  // 標準の方式（fast）では、drawImageで半分ずつ段階的に縮小する
+  while (!usePixelResampling && currentCanvas.width > rect.dw * 2) {
+    const nextWidth = Math.floor(currentCanvas.width / 2);
+    const nextHeight = Math.floor(currentCanvas.height / 2);
+
+    if (nextWidth < rect.dw || nextHeight < rect.dh) break;
+
+    const nextCanvas = createCanvas(nextWidth, nextHeight);
+    const nextCtx = nextCanvas.getContext('2d');
+
+    nextCtx.imageSmoothingQuality = 'high';
+    nextCtx.drawImage(currentCanvas, 0, 0, nextWidth, nextHeight);
+
+    currentCanvas = nextCanvas;
+  }
+
+  // 写真の補正は余白の色を変えないよう、縮小した画像だけに適用してから配置する
+  if (hasAdjustments(job.adjustments)) {
+    const adjustedCanvas = createCanvas(Math.max(1, Math.round(rect.dw)), Math.max(1, Math.round(rect.dh)));
+    const adjustedCtx = adjustedCanvas.getContext('2d');
+    adjustedCtx.imageSmoothingQuality = 'high';
+    adjustedCtx.drawImage(currentCanvas, 0, 0, adjustedCanvas.width, adjustedCanvas.height);
+    applyAdjustments(adjustedCanvas, job.adjustments);
+    currentCanvas = adjustedCanvas;
+  }
+
+  const finalCanvas = createCanvas(targetWidth, targetHeight);
+  const ctx = finalCanvas.getContext('2d');
+
+  // 余白の塗りつぶし（透明は出力形式が透過に対応している場合のみ）
+  const hasHorizontalPadding = rect.dy > 0;
+  const hasVerticalPadding = rect.dx > 0;
+  if (paddingFill === 'blur' && (hasHorizontalPadding || hasVerticalPadding)) {
+    drawBlurredBackground(ctx, currentCanvas, targetWidth, targetHeight);
+  } else if (paddingFill === 'dominant' && (hasHorizontalPadding || hasVerticalPadding)) {
+    ctx.fillStyle = getDominantEdgeColor(currentCanvas, { horizontal: hasHorizontalPadding, vertical: hasVerticalPadding });
+    ctx.fillRect(0, 0, targetWidth, targetHeight);
+  } else if (paddingFill !== 'transparent' || !format.supportsAlpha) {
+    ctx.fillStyle = paddingFill === 'color' ? paddingColor : DEFAULT_PADDING_COLOR;
+    ctx.fillRect(0, 0, targetWidth, targetHeight);
+  }
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(currentCanvas, drawRect.dx, drawRect.dy, drawRect.dw, drawRect.dh);
+  return {
+    canvas: finalCanvas,
+    trimBox: trimBox && { ...trimBox, sourceWidth: sourceImage.width, sourceHeight: sourceImage.height },
+    sourceSize: { width: sourceImage.width, height: sourceImage.height },
+  };
+};
+
+/**
+ * 透かしを置く位置（左上の座標）を取得する
+ * @param {string} position 位置（top-left, top-right, bottom-left, bottom-right, center）
+ * @param {number} canvasWidth キャンバスの幅
+ * @param {number} canvasHeight キャンバスの高さ
+ * @param {number} itemWidth 透かしの幅
+ * @param {number} itemHeight 透かしの高さ
+ * @param {number} margin 画像の端からの余白
+ * @returns {{x: number, y: number}} 座標
+ */
+const getWatermarkPosition = (position, canvasWidth, canvasHeight, itemWidth, itemHeight, margin) => {
+  const [vertical, horizontal] = position === 'center' ? ['center', 'center'] : position.split('-');
+  const x = horizontal === 'left' ? margin : horizontal === 'right' ? canvasWidth - itemWidth - margin : (canvasWidth - itemWidth) / 2;
+  const y = vertical === 'top' ? margin : vertical === 'bottom' ? canvasHeight - itemHeight - margin : (canvasHeight - itemHeight) / 2;
+  return { x, y };
+};
+
+/**
+ * 加工後のキャンバスに透かし（ロゴ画像または文字）を描画する
+ * 大きさと余白は画像の短辺に対する割合で指定し、出力サイズが異なっても見た目を揃える
+ * @param {OffscreenCanvas|HTMLCanvasElement} canvas 描画先のキャンバス
+ * @param {{type: string, text: string, fontFamily: string, color: string, logoUrl: string, size: number, opacity: number, position: string, margin: number}} watermark 透かしの設定（size・opacity・marginは%）
+ * @returns {Promise<void>}
+ */
+const drawWatermark = async (canvas, watermark) => {
+  const isLogo = watermark.type === 'logo';
+  if (isLogo ? !watermark.logoUrl : !watermark.text) return;
+
+  const ctx = canvas.getContext('2d');
+  const shortSide = Math.min(canvas.width, canvas.height);
+  const size = Math.max(1, Math.round(shortSide * watermark.size / 100));
+  const margin = shortSide * watermark.margin / 100;
+  const logo = isLogo ? await decodeImage(watermark.logoUrl) : null;
+
+  ctx.save();
+  try {
+    let itemWidth;
+    let itemHeight;
+    if (logo) {
+      // ロゴは幅を指定の大きさにし、縦横比を保つ
+      itemWidth = size;
+      itemHeight = Math.max(1, Math.round(size * logo.height / logo.width));
+    } else {
+      ctx.font = `${size}px ${watermark.fontFamily}`;
+      ctx.textBaseline = 'top';
+      ctx.fillStyle = watermark.color;
+      itemWidth = Math.ceil(ctx.measureText(watermark.text).width);
+      itemHeight = size;
+    }
+    ctx.globalAlpha = watermark.opacity / 100;
+    const drawAt = (x, y) => (logo ? ctx.drawImage(logo, x, y, itemWidth, itemHeight) : ctx.fillText(watermark.text, x, y));
+
+    if (watermark.position === 'tiled') {
+      // 行ごとに半分ずらして敷き詰める（余白が小さくても詰まりすぎないよう、間隔は透かしの高さ以上にする）
+      const gap = Math.max(margin, itemHeight);
+      const stepX = itemWidth + gap;
+      const stepY = itemHeight + gap;
+      for (let row = 0, y = margin; y < canvas.height; row++, y += stepY) {
+        for (let x = margin - (row % 2 ? stepX / 2 : 0); x < canvas.width; x += stepX) {
+          drawAt(x, y);
+        }
+      }
+    } else {
+      const { x, y } = getWatermarkPosition(watermark.position, canvas.width, canvas.height, itemWidth, itemHeight, margin);
+      drawAt(x, y);
+    }
+  } finally {
+    ctx.restore();
+    if (logo) logo.close();
+  }
+};
+
+// モザイク・ぼかしで、範囲の短辺を何マスに分けるか（細かすぎると顔や文字が読み取れてしまう）
+const REDACTION_CELLS = 8;
+// 塗りつぶしの色
+const REDACTION_FILL_COLOR = '#000000';
+
+/**
+ * モザイクなどの範囲の外接矩形を取得する（ブラシは線の太さの分を含める）
+ * @param {object} redaction 範囲
+ * @param {number} width 画像の幅
+ * @param {number} height 画像の高さ
+ * @returns {{x: number, y: number, width: number, height: number} | null} 画像内に収めた外接矩形（画像の外にある場合はnull）
+ */
+const getRedactionBounds = (redaction, width, height) => {
+  const margin = redaction.shape === 'brush' ? redaction.size / 2 : 0;
+  const xs = redaction.points.map(([x]) => x);
+  const ys = redaction.points.map(([, y]) => y);
+  const left = Math.max(0, Math.floor(Math.min(...xs) - margin));
+  const top = Math.max(0, Math.floor(Math.min(...ys) - margin));
+  const right = Math.min(width, Math.ceil(Math.max(...xs) + margin));
+  const bottom = Math.min(height, Math.ceil(Math.max(...ys) + margin));
+  return right > left && bottom > top ? { x: left, y: top, width: right - left, height: bottom - top } : null;
+};
+
+/**
+ * 元画像にモザイク・ぼかし・塗りつぶしを適用したキャンバスを生成する
+ * 範囲は元画像の座標で指定されているため、向きの補正やトリミングより前に適用する
+ * @param {CanvasImageSource} image デコード済みの元画像
+ * @param {{shape: string, effect: string, points: number[][], size?: number}[]} redactions 範囲（shape: rect・brush、effect: blur・pixelate・fill、points: 頂点またはブラシの軌跡、size: ブラシの太さ）
+ * @returns {OffscreenCanvas|HTMLCanvasElement} 適用後のキャンバス
+ */
+const applyRedactions = (image, redactions) => {
+  const canvas = createCanvas(image.width, image.height);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(image, 0, 0);
+
+  redactions.forEach(redaction => {
+    const bounds = getRedactionBounds(redaction, canvas.width, canvas.height);
+    if (!bounds) return;
+
+    const effectCanvas = createCanvas(bounds.width, bounds.height);
+    const effectCtx = effectCanvas.getContext('2d');
+    if (redaction.effect === 'fill') {
+      effectCtx.fillStyle = REDACTION_FILL_COLOR;
+      effectCtx.fillRect(0, 0, bounds.width, bounds.height);
+    } else {
+      // マスの数まで縮小してから拡大する（モザイクは補間せずに拡大し、ぼかしは補間してなめらかにする）
+      const cellSize = Math.max(4, Math.round(Math.min(bounds.width, bounds.height) / REDACTION_CELLS));
+      const smallCanvas = createCanvas(Math.max(1, Math.round(bounds.width / cellSize)), Math.max(1, Math.round(bounds.height / cellSize)));
+      const smallCtx = smallCanvas.getContext('2d');
+      smallCtx.imageSmoothingQuality = 'high';
+      smallCtx.drawImage(canvas, bounds.x, bounds.y, bounds.width, bounds.height, 0, 0, smallCanvas.width, smallCanvas.height);
+      effectCtx.imageSmoothingEnabled = redaction.effect !== 'pixelate';
+      effectCtx.imageSmoothingQuality = 'high';
+      effectCtx.drawImage(smallCanvas, 0, 0, bounds.width, bounds.height);
+    }
+
+    // 範囲の形の部分だけを残してから元画像に重ねる
+    effectCtx.globalCompositeOperation = 'destination-in';
+    effectCtx.translate(-bounds.x, -bounds.y);
+    effectCtx.beginPath();
+    const [[startX, startY], ...rest] = redaction.points;
+    if (redaction.shape === 'brush') {
+      effectCtx.lineWidth = redaction.size;
+      effectCtx.lineCap = 'round';
+      effectCtx.lineJoin = 'round';
+      if (rest.length === 0) {
+        // 1点だけのブラシは円として描く（長さ0の線は描画されないため）
+        effectCtx.arc(startX, startY, redaction.size / 2, 0, Math.PI * 2);
+        effectCtx.fill();
+      } else {
+        effectCtx.moveTo(startX, startY);
+        rest.forEach(([x, y]) => effectCtx.lineTo(x, y));
+        effectCtx.stroke();
+      }
+    } else {
+      effectCtx.moveTo(startX, startY);
+      rest.forEach(([x, y]) => effectCtx.lineTo(x, y));
+      effectCtx.closePath();
+      effectCtx.fill();
+    }
+    ctx.drawImage(effectCanvas, bounds.x, bounds.y);
+  });
+  return canvas;
+};
+
+/**
+ * 同じ元画像に対する加工内容（メインの出力とレンディション）に従って、元画像のデコードから出力形式へのエンコードまでを行う
+ * 元画像のデコードと隠す範囲の適用は1回だけ行い、出力は1件ずつ順にエンコードする（原寸の画像をいくつも同時に持たないため）
+ * @param {object[]} jobs 加工内容（createProcessJobで生成したもの。元画像・隠す範囲・色の変換はすべて同じ）
+ * @returns {Promise<{blob: Blob, quality: number | null, exceeded: boolean, trimBox: object | null, sourceSize: {width: number, height: number}}[]>} 加工内容と同じ順のエンコード結果、自動トリミングで使った範囲、元画像の大きさ
+ */
+export const processImageJobs = async (jobs) => {
+  const [firstJob] = jobs;
+  // sRGBに変換する画像は、ブラウザによる色の変換を行わずにデコードし、どのブラウザでも同じ変換結果にする
+  const image = await decodeImage(firstJob.sourceUrl, firstJob.colorConversion ? { colorSpaceConversion: 'none' } : {});
+  try {
+    const source = firstJob.redactions && firstJob.redactions.length > 0 ? applyRedactions(image, firstJob.redactions) : image;
+    const results = [];
+    for (const job of jobs) {
+      const { canvas, trimBox, sourceSize } = resizeWithPadding(source, job);
+      if (job.watermark) await drawWatermark(canvas, job.watermark);
+      results.push({ ...await encodeWithinFileSize(canvas, job.format, job.quality, job.maxBytes), trimBox, sourceSize });
+    }
+    return results;
+  } finally {
+    image.close();
+  }
+};
@@ -0,0 +1,14 @@
+// === 画像加工用のWeb Worker ===
+// メインスレッドから受け取った加工内容を処理し、エンコード結果を返す。
+
+import { processImageJobs } from './imagePipeline.js';
+
+self.onmessage = async (event) => {
+  const { id, jobs } = event.data;
+  try {
+    const result = await processImageJobs(jobs);
+    self.postMessage({ id, result });
+  } catch (err) {
+    self.postMessage({ id, error: err.message || String(err) });
+  }
+};
@@ -0,0 +1,205 @@
+// === 画像加工用のWorkerプール ===
+// 複数のWeb Workerに加工内容を振り分けて並列に処理する。
+// Workerが使えない環境では、同じパイプラインをメインスレッドで1件ずつ実行する。
+
+import { processImageJobs } from './imagePipeline.js';
+
+// メモリを使いすぎないよう、同時に起動するWorkerの数には上限を設ける
+const MAX_POOL_SIZE = 16;
+
+/**
+ * Web WorkerでOffscreenCanvasを使った加工ができるかどうかを判定する
+ * @returns {boolean} 使える場合はtrue
+ */
+const isWorkerProcessingSupported = () => {
+  if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined' || typeof createImageBitmap === 'undefined') {
+    return false;
+  }
+  try {
+    return Boolean(new OffscreenCanvas(1, 1).getContext('2d'));
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * CPUのコア数と端末のメモリに応じたWorkerの数を取得する
+ * メインスレッドの分として1コア残し、大きな写真の加工には1枚あたり数百MBを使うため、メモリ1GBにつき1つまでとする
+ * @param {number} [maxWorkers] 利用者が指定した上限（0の場合は自動）
+ * @returns {number} Workerの数
+ */
+const getPoolSize = (maxWorkers = 0) => {
+  if (maxWorkers > 0) return Math.min(maxWorkers, MAX_POOL_SIZE);
+  const cores = navigator.hardwareConcurrency || 2;
+  const memoryLimit = navigator.deviceMemory ? Math.max(1, Math.floor(navigator.deviceMemory)) : MAX_POOL_SIZE;
+  return Math.max(1, Math.min(cores - 1, memoryLimit, MAX_POOL_SIZE));
+};
+
+/**
+ * 画像加工用のWorkerプールを生成する
+ * Workerは最初の処理の依頼時に起動する
+ * @param {{maxWorkers?: number}} [options] 同時に起動するWorkerの数の上限（0または省略時は自動）
+ * @returns {{run: (jobs: object[], options?: {signal?: AbortSignal}) => Promise<{blob: Blob, quality: number | null, exceeded: boolean, trimBox: object | null, sourceSize: {width: number, height: number}}[]>, pause: () => void, resume: () => void, cancel: () => void, close: () => void, size: number}} プール（runはsignalを中止すると、その依頼だけを失敗として返す）
+ */
+export const createImageWorkerPool = ({ maxWorkers = 0 } = {}) => {
+  const useWorkers = isWorkerProcessingSupported();
+  const size = useWorkers ? getPoolSize(maxWorkers) : 1;
+  const workers = [];
+  const idleWorkers = [];
+  const queue = [];
+  const pending = new Map();
+  let nextId = 0;
+  let mainThreadBusy = false;
+  let paused = false;
+  let closed = false;
+
+  // close後、すべての依頼が終わったらWorkerを終了する
+  const terminateIfClosed = () => {
+    if (!closed || queue.length > 0 || pending.size > 0) return;
+    workers.forEach(worker => worker.terminate());
+    workers.length = 0;
+    idleWorkers.length = 0;
+  };
+
+  // Workerを終了してプールから取り除く
+  const removeWorker = (worker) => {
+    worker.terminate();
+    workers.splice(workers.indexOf(worker), 1);
+    const idleIndex = idleWorkers.indexOf(worker);
+    if (idleIndex !== -1) idleWorkers.splice(idleIndex, 1);
+  };
+
+  const dispatch = () => {
+    if (paused) return;
+    if (!useWorkers) {
+      // Workerが使えない場合は、メインスレッドで1件ずつ処理する
+      if (mainThreadBusy || queue.length === 0) return;
+      const task = queue.shift();
+      mainThreadBusy = true;
+      processImageJobs(task.jobs)
+        .then(task.resolve, task.reject)
+        .finally(() => {
+          mainThreadBusy = false;
+          dispatch();
+          terminateIfClosed();
+        });
+      return;
+    }
+
+    while (queue.length > 0) {
+      if (idleWorkers.length === 0 && workers.length < size) {
+        const worker = new Worker(new URL('./imageWorker.js', import.meta.url), { type: 'module' });
+        worker.onmessage = (event) => handleMessage(worker, event.data);
+        worker.onerror = (event) => handleWorkerError(worker, event);
+        workers.push(worker);
+        idleWorkers.push(worker);
+      }
+      const worker = idleWorkers.shift();
+      if (!worker) return;
+
+      const task = queue.shift();
+      const id = nextId++;
+      task.id = id;
+      task.worker = worker;
+      pending.set(id, task);
+      worker.postMessage({ id, jobs: task.jobs });
+    }
+  };
+
+  const handleMessage = (worker, { id, result, error }) => {
+    const task = pending.get(id);
+    pending.delete(id);
+    idleWorkers.push(worker);
+    if (task) {
+      if (error) {
+        task.reject(new Error(error));
+      } else {
+        task.resolve(result);
+      }
+    }
+    dispatch();
+    terminateIfClosed();
+  };
+
+  // Worker自体が異常終了した場合は、処理中だった依頼を失敗として返し、Workerを作り直す
+  const handleWorkerError = (worker, event) => {
+    event.preventDefault();
+    pending.forEach((task, id) => {
+      if (task.worker !== worker) return;
+      pending.delete(id);
+      task.reject(new Error(event.message || '画像の加工中にエラーが発生しました。'));
+    });
+    removeWorker(worker);
+    dispatch();
+    terminateIfClosed();
+  };
+
+  // 中止された依頼を取り除く。処理中の場合は、そのWorkerだけを終了して他の依頼は続ける
+  const abortTask = (task) => {
+    const queueIndex = queue.indexOf(task);
+    if (queueIndex !== -1) {
+      queue.splice(queueIndex, 1);
+    } else if (pending.get(task.id) === task) {
+      pending.delete(task.id);
+      removeWorker(task.worker);
+    }
+    task.reject(new DOMException('画像の加工が中断されました。', 'AbortError'));
+    dispatch();
+    terminateIfClosed();
+  };
+
+  // 同じ元画像の加工内容（メインの出力とレンディション）は、まとめて1件として依頼する（元画像のデコードは1回で済む）
+  const run = (jobs, { signal } = {}) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException('画像の加工が中断されました。', 'AbortError'));
+      return;
+    }
+    const handleAbort = () => abortTask(task);
+    const task = {
+      jobs,
+      resolve: (result) => {
+        signal?.removeEventListener('abort', handleAbort);
+        resolve(result);
+      },
+      reject: (error) => {
+        signal?.removeEventListener('abort', handleAbort);
+        reject(error);
+      },
+    };
+    signal?.addEventListener('abort', handleAbort);
+    queue.push(task);
+    dispatch();
+  });
+
+  // 一時停止中は新しい依頼を開始しない（処理中のものはそのまま完了させる）
+  const pause = () => {
+    paused = true;
+  };
+
+  const resume = () => {
+    paused = false;
+    dispatch();
+  };
+
+  // 処理中・待機中の依頼をすべて失敗として返し、Workerを終了する
+  // プールはそのまま使い続けられ、次の依頼でWorkerを起動し直す
+  const cancel = () => {
+    paused = false;
+    workers.forEach(worker => worker.terminate());
+    workers.length = 0;
+    idleWorkers.length = 0;
+    const error = new Error('画像の加工が中断されました。');
+    pending.forEach(task => task.reject(error));
+    pending.clear();
+    queue.splice(0).forEach(task => task.reject(error));
+  };
+
+  // 新しい依頼を受け付けない前提で、処理中・待機中の依頼を完了させてからWorkerを終了する
+  // Workerの数を変更したときに、古いプールで実行中のプレビューなどを失敗させないために使う
+  const close = () => {
+    closed = true;
+    terminateIfClosed();
+  };
+
+  return { run, pause, resume, cancel, close, size };
+};
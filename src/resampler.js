@@ -0,0 +1,155 @@
+// === 画素を直接計算する縮小（リサンプリング） ===
+// drawImageによる縮小はブラウザごとに結果が異なり、毛並みや布地などの細かい模様でモアレが出やすい。
+// ここではLanczos3・Mitchellのフィルタで縦横それぞれに畳み込みを行い、どのブラウザでも同じ結果にする。
+// 明るさが正しく平均されるよう、sRGBをリニアな値に変換してから計算する（ガンマ補正）。
+
+// フィルタごとの重み関数と、片側の影響範囲（出力1画素あたりの元画像の画素数の倍率）
+const FILTERS = {
+  lanczos3: {
+    support: 3,
+    weight: (x) => {
+      if (x === 0) return 1;
+      if (Math.abs(x) >= 3) return 0;
+      const px = Math.PI * x;
+      return (3 * Math.sin(px) * Math.sin(px / 3)) / (px * px);
+    },
+  },
+  // B = C = 1/3（Mitchell-Netravali）。Lanczosより輪郭のにじみ（リンギング）が少ない
+  mitchell: {
+    support: 2,
+    weight: (x) => {
+      const t = Math.abs(x);
+      if (t < 1) return (7 * t * t * t - 12 * t * t + 16 / 3) / 6;
+      if (t < 2) return (-7 / 3 * t * t * t + 12 * t * t - 20 * t + 32 / 3) / 6;
+      return 0;
+    },
+  },
+};
+
+// リニアな値からsRGBに戻すときの変換表の細かさ
+const LINEAR_TABLE_SIZE = 4096;
+
+let srgbToLinearTable = null;
+let linearToSrgbTable = null;
+
+/**
+ * sRGBとリニアな値の変換表を用意する
+ */
+const ensureGammaTables = () => {
+  if (srgbToLinearTable) return;
+  srgbToLinearTable = new Float32Array(256);
+  for (let i = 0; i < 256; i++) {
+    const c = i / 255;
+    srgbToLinearTable[i] = c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  }
+  linearToSrgbTable = new Uint8ClampedArray(LINEAR_TABLE_SIZE + 1);
+  for (let i = 0; i <= LINEAR_TABLE_SIZE; i++) {
+    const c = i / LINEAR_TABLE_SIZE;
+    linearToSrgbTable[i] = Math.round((c <= 0.0031308 ? c * 12.92 : 1.055 * c ** (1 / 2.4) - 0.055) * 255);
+  }
+};
+
+/**
+ * 1方向の縮小に使う、出力画素ごとの元画像の範囲と重みを計算する
+ * @param {number} sourceSize 元の画素数
+ * @param {number} targetSize 出力の画素数
+ * @param {{support: number, weight: (x: number) => number}} filter フィルタ
+ * @returns {{start: number, weights: Float32Array}[]} 出力画素ごとの開始位置と正規化した重み
+ */
+const computeContributions = (sourceSize, targetSize, filter) => {
+  const scale = targetSize / sourceSize;
+  // 縮小時はフィルタを元画像の画素間隔に合わせて広げ、折り返し（モアレ）を防ぐ
+  const filterScale = Math.max(1 / scale, 1);
+  const radius = filter.support * filterScale;
+  const contributions = [];
+  for (let i = 0; i < targetSize; i++) {
+    const center = (i + 0.5) / scale;
+    const start = Math.max(0, Math.floor(center - radius));
+    const end = Math.min(sourceSize, Math.ceil(center + radius));
+    const weights = new Float32Array(end - start);
+    let total = 0;
+    for (let j = start; j < end; j++) {
+      const weight = filter.weight((j + 0.5 - center) / filterScale);
+      weights[j - start] = weight;
+      total += weight;
+    }
+    if (total !== 0) {
+      for (let k = 0; k < weights.length; k++) weights[k] /= total;
+    }
+    contributions.push({ start, weights });
+  }
+  return contributions;
+};
+
+/**
+ * RGBAの画素データを指定サイズにリサンプリングする
+ * 横方向・縦方向の順に畳み込み、途中の値はリニアな値（アルファ乗算済み）の浮動小数点で保持する
+ * @param {Uint8ClampedArray} data 元画像のRGBAの画素データ
+ * @param {number} width 元画像の幅
+ * @param {number} height 元画像の高さ
+ * @param {number} targetWidth 出力幅
+ * @param {number} targetHeight 出力高さ
+ * @param {string} filterId フィルタ（lanczos3またはmitchell）
+ * @returns {Uint8ClampedArray} 出力のRGBAの画素データ
+ */
+export const resamplePixels = (data, width, height, targetWidth, targetHeight, filterId) => {
+  const filter = FILTERS[filterId];
+  if (!filter) throw new Error(`未対応のリサンプリング方式です: ${filterId}`);
+  ensureGammaTables();
+
+  // 横方向: height行 x targetWidth列の中間データを作る
+  const horizontal = computeContributions(width, targetWidth, filter);
+  const intermediate = new Float32Array(targetWidth * height * 4);
+  for (let y = 0; y < height; y++) {
+    const rowStart = y * width;
+    for (let x = 0; x < targetWidth; x++) {
+      const { start, weights } = horizontal[x];
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      let a = 0;
+      for (let k = 0; k < weights.length; k++) {
+        const i = (rowStart + start + k) * 4;
+        const alpha = data[i + 3] / 255;
+        const weight = weights[k] * alpha;
+        r += srgbToLinearTable[data[i]] * weight;
+        g += srgbToLinearTable[data[i + 1]] * weight;
+        b += srgbToLinearTable[data[i + 2]] * weight;
+        a += weights[k] * alpha;
+      }
+      const o = (y * targetWidth + x) * 4;
+      intermediate[o] = r;
+      intermediate[o + 1] = g;
+      intermediate[o + 2] = b;
+      intermediate[o + 3] = a;
+    }
+  }
+
+  // 縦方向: 中間データからtargetHeight行を作り、sRGBに戻す
+  const vertical = computeContributions(height, targetHeight, filter);
+  const output = new Uint8ClampedArray(targetWidth * targetHeight * 4);
+  const toSrgb = (value) => linearToSrgbTable[Math.round(Math.min(1, Math.max(0, value)) * LINEAR_TABLE_SIZE)];
+  for (let y = 0; y < targetHeight; y++) {
+    const { start, weights } = vertical[y];
+    for (let x = 0; x < targetWidth; x++) {
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      let a = 0;
+      for (let k = 0; k < weights.length; k++) {
+        const i = ((start + k) * targetWidth + x) * 4;
+        r += intermediate[i] * weights[k];
+        g += intermediate[i + 1] * weights[k];
+        b += intermediate[i + 2] * weights[k];
+        a += intermediate[i + 3] * weights[k];
+      }
+      const o = (y * targetWidth + x) * 4;
+      if (a <= 0) continue; // 完全に透明な画素は0のまま
+      output[o] = toSrgb(r / a);
+      output[o + 1] = toSrgb(g / a);
+      output[o + 2] = toSrgb(b / a);
+      output[o + 3] = Math.round(Math.min(1, a) * 255);
+    }
+  }
+  return output;
+};
@@ -0,0 +1,272 @@
+// === ZIPファイルの書き出し ===
+// 加工の終わった画像から順にZIPへ追加する。
+// 書き込み先（シンク）は、ファイルへ直接書き込むもの（File System Access API）と、Blobとして組み立てるものから選ぶ。
+// ファイルへ書き込む場合は、追加した画像をメモリに残さない。
+// JPEGなどは圧縮済みのため、無圧縮（STORE）で格納する。
+// 4GBまたは65535件を超える場合は、その項目だけZIP64形式で記録する。
+
+// 通常のZIPの項目に記録できる大きさ・位置と件数の上限（これ以上はZIP64の項目に記録する）
+const ZIP32_MAX_VALUE = 0xFFFFFFFF;
+const ZIP32_MAX_ENTRIES = 0xFFFF;
+// 展開に必要なバージョン（ZIP64を使う場合は4.5）
+const VERSION_DEFAULT = 20;
+const VERSION_ZIP64 = 45;
+// ZIP64の拡張フィールドのID
+const ZIP64_EXTRA_FIELD_ID = 0x0001;
+
+// ファイル名をUTF-8で格納したことを示すフラグ（日本語のファイル名を文字化けさせないため）
+const UTF8_FLAG = 0x0800;
+
+let crcTable = null;
+
+/**
+ * CRC-32の計算を途中まで進める
+ * @param {number} crc これまでの値（最初は0xFFFFFFFF）
+ * @param {Uint8Array} bytes 続きのデータ
+ * @returns {number} 計算途中の値
+ */
+const updateCrc32 = (crc, bytes) => {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return crc;
+};
+
+/**
+ * BlobのCRC-32を計算する
+ * Blob全体を一度に読み込まず、ストリームで少しずつ読みながら計算する
+ * @param {Blob} blob 対象のデータ
+ * @returns {Promise<number>} CRC-32の値
+ */
+const computeBlobCrc32 = async (blob) => {
+  const reader = blob.stream().getReader();
+  let crc = 0xFFFFFFFF;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    crc = updateCrc32(crc, value);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+/**
+ * 日時をZIP（MS-DOS形式）の日付と時刻に変換する
+ * @param {Date} date 日時
+ * @returns {{time: number, date: number}} DOS形式の時刻と日付
+ */
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+/**
+ * ZIP64の拡張フィールドを生成する
+ * @param {number[]} values 記録する値（非圧縮サイズ・圧縮サイズ・ヘッダーの位置のうち、通常の項目に収まらないものを順に）
+ * @returns {Uint8Array} 拡張フィールド
+ */
+const createZip64ExtraField = (values) => {
+  const view = new DataView(new ArrayBuffer(4 + values.length * 8));
+  view.setUint16(0, ZIP64_EXTRA_FIELD_ID, true);
+  view.setUint16(2, values.length * 8, true);
+  values.forEach((value, index) => view.setBigUint64(4 + index * 8, BigInt(value), true));
+  return new Uint8Array(view.buffer);
+};
+
+/**
+ * 同じパスのファイルがすでにある場合に、連番を付けて重複しないパスにする
+ * @param {string} path ファイルのパス
+ * @param {Set<string>} usedPaths 追加済みのパス
+ * @returns {string} 重複しないパス
+ */
+const getUniquePath = (path, usedPaths) => {
+  if (!usedPaths.has(path)) return path;
+  const match = path.match(/^(.*?)(\.[^./]+)?$/);
+  for (let n = 2; ; n++) {
+    const candidate = `${match[1]}_${n}${match[2] || ''}`;
+    if (!usedPaths.has(candidate)) return candidate;
+  }
+};
+
+/**
+ * ZIPをBlobとして組み立てる書き込み先を生成する
+ * ファイルへ直接書き込めないブラウザ向け。画像のBlobは複製せずに連結する（大きなBlobはブラウザがディスクに退避する）
+ * @returns {{write: (chunk: Blob|BufferSource) => Promise<void>, close: () => Promise<Blob>, abort: () => Promise<void>}} 書き込み先
+ */
+export const createBlobSink = () => {
+  const parts = [];
+  return {
+    write: async (chunk) => {
+      parts.push(chunk);
+    },
+    close: async () => new Blob(parts, { type: 'application/zip' }),
+    abort: async () => {
+      parts.length = 0;
+    },
+  };
+};
+
+/**
+ * ZIPをファイルへ直接書き込む書き込み先を生成する（File System Access API）
+ * 書き込みが終わった画像はメモリから解放される
+ * @param {FileSystemFileHandle} fileHandle 保存先のファイル
+ * @returns {Promise<{write: (chunk: Blob|BufferSource) => Promise<void>, close: () => Promise<null>, abort: () => Promise<void>}>} 書き込み先
+ */
+export const createFileSink = async (fileHandle) => {
+  const writable = await fileHandle.createWritable();
+  return {
+    write: (chunk) => writable.write(chunk),
+    close: async () => {
+      await writable.close();
+      return null;
+    },
+    // 中止した場合は書きかけのファイルを残さない
+    abort: () => writable.abort(),
+  };
+};
+
+/**
+ * ZIPファイルを順に組み立てるライターを生成する
+ * addFileは並行して呼び出してもよく、呼び出した順に追加される
+ * @param {object} [sink] 書き込み先（省略時はBlobとして組み立てる）
+ * @returns {{addFile: (path: string, blob: Blob) => Promise<string>, finish: (options?: {signal?: AbortSignal}) => Promise<Blob | null>, abort: () => Promise<void>}} ライター（finishはBlobに組み立てた場合のみBlobを返す。signalを中止すると書き込み先を閉じずに破棄し、AbortErrorになる）
+ */
+export const createZipWriter = (sink = createBlobSink()) => {
+  const encoder = new TextEncoder();
+  const entries = [];
+  const usedPaths = new Set();
+  const { time, date } = toDosDateTime(new Date());
+  let offset = 0;
+  let queue = Promise.resolve();
+
+  const appendFile = async (path, blob) => {
+    const uniquePath = getUniquePath(path, usedPaths);
+    usedPaths.add(uniquePath);
+    const name = encoder.encode(uniquePath);
+    const crc = await computeBlobCrc32(blob);
+    // 4GB以上のファイルは、サイズをZIP64の拡張フィールドに記録する
+    const isLargeFile = blob.size >= ZIP32_MAX_VALUE;
+    const extra = isLargeFile ? createZip64ExtraField([blob.size, blob.size]) : new Uint8Array(0);
+
+    const header = new DataView(new ArrayBuffer(30));
+    header.setUint32(0, 0x04034B50, true); // ローカルファイルヘッダー
+    header.setUint16(4, isLargeFile ? VERSION_ZIP64 : VERSION_DEFAULT, true);
+    header.setUint16(6, UTF8_FLAG, true);
+    header.setUint16(8, 0, true); // 無圧縮
+    header.setUint16(10, time, true);
+    header.setUint16(12, date, true);
+    header.setUint32(14, crc, true);
+    header.setUint32(18, Math.min(blob.size, ZIP32_MAX_VALUE), true);
+    header.setUint32(22, Math.min(blob.size, ZIP32_MAX_VALUE), true);
+    header.setUint16(26, name.length, true);
+    header.setUint16(28, extra.length, true);
+
+    await sink.write(header);
+    await sink.write(name);
+    if (extra.length > 0) await sink.write(extra);
+    await sink.write(blob);
+    entries.push({ name, crc, size: blob.size, offset });
+    offset += 30 + name.length + extra.length + blob.size;
+    return uniquePath;
+  };
+
+  // 追加は1件ずつ順番に行う（書き込み位置を正しく計算するため）
+  const addFile = (path, blob) => {
+    const result = queue.then(() => appendFile(path, blob));
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  // 中止された場合は、書き込み先を閉じずに破棄する（ファイルへの書き込みでは、閉じた時点で保存先にZIPができるため）
+  const throwIfAborted = async (signal) => {
+    if (!signal?.aborted) return;
+    await sink.abort();
+    throw new DOMException('ZIPファイルの書き込みが中断されました。', 'AbortError');
+  };
+
+  const finish = async ({ signal } = {}) => {
+    await queue;
+    await throwIfAborted(signal);
+    const centralDirectoryOffset = offset;
+    let centralDirectorySize = 0;
+    for (const entry of entries) {
+      // 通常の項目に収まらない値だけを、決められた順にZIP64の拡張フィールドへ記録する
+      const isLargeFile = entry.size >= ZIP32_MAX_VALUE;
+      const isFarOffset = entry.offset >= ZIP32_MAX_VALUE;
+      const zip64Values = [...(isLargeFile ? [entry.size, entry.size] : []), ...(isFarOffset ? [entry.offset] : [])];
+      const extra = zip64Values.length > 0 ? createZip64ExtraField(zip64Values) : new Uint8Array(0);
+      const version = zip64Values.length > 0 ? VERSION_ZIP64 : VERSION_DEFAULT;
+
+      const header = new DataView(new ArrayBuffer(46));
+      header.setUint32(0, 0x02014B50, true); // セントラルディレクトリ
+      header.setUint16(4, version, true);
+      header.setUint16(6, version, true);
+      header.setUint16(8, UTF8_FLAG, true);
+      header.setUint16(10, 0, true);
+      header.setUint16(12, time, true);
+      header.setUint16(14, date, true);
+      header.setUint32(16, entry.crc, true);
+      header.setUint32(20, Math.min(entry.size, ZIP32_MAX_VALUE), true);
+      header.setUint32(24, Math.min(entry.size, ZIP32_MAX_VALUE), true);
+      header.setUint16(28, entry.name.length, true);
+      header.setUint16(30, extra.length, true);
+      header.setUint32(42, Math.min(entry.offset, ZIP32_MAX_VALUE), true);
+      await sink.write(header);
+      await sink.write(entry.name);
+      if (extra.length > 0) await sink.write(extra);
+      centralDirectorySize += 46 + entry.name.length + extra.length;
+    }
+
+    // 件数・大きさ・位置のいずれかが通常の終端レコードに収まらない場合は、ZIP64の終端レコードと位置情報を先に書く
+    const needsZip64End = entries.length >= ZIP32_MAX_ENTRIES
+      || centralDirectorySize >= ZIP32_MAX_VALUE
+      || centralDirectoryOffset >= ZIP32_MAX_VALUE;
+    if (needsZip64End) {
+      const zip64EndOffset = centralDirectoryOffset + centralDirectorySize;
+      const zip64End = new DataView(new ArrayBuffer(56));
+      zip64End.setUint32(0, 0x06064B50, true); // ZIP64のセントラルディレクトリの終端
+      zip64End.setBigUint64(4, 44n, true);
+      zip64End.setUint16(12, VERSION_ZIP64, true);
+      zip64End.setUint16(14, VERSION_ZIP64, true);
+      zip64End.setBigUint64(24, BigInt(entries.length), true);
+      zip64End.setBigUint64(32, BigInt(entries.length), true);
+      zip64End.setBigUint64(40, BigInt(centralDirectorySize), true);
+      zip64End.setBigUint64(48, BigInt(centralDirectoryOffset), true);
+      await sink.write(zip64End);
+
+      const locator = new DataView(new ArrayBuffer(20));
+      locator.setUint32(0, 0x07064B50, true); // ZIP64の終端レコードの位置
+      locator.setBigUint64(8, BigInt(zip64EndOffset), true);
+      locator.setUint32(16, 1, true);
+      await sink.write(locator);
+    }
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true); // セントラルディレクトリの終端
+    end.setUint16(8, Math.min(entries.length, ZIP32_MAX_ENTRIES), true);
+    end.setUint16(10, Math.min(entries.length, ZIP32_MAX_ENTRIES), true);
+    end.setUint32(12, Math.min(centralDirectorySize, ZIP32_MAX_VALUE), true);
+    end.setUint32(16, Math.min(centralDirectoryOffset, ZIP32_MAX_VALUE), true);
+    await sink.write(end);
+
+    await throwIfAborted(signal);
+    return sink.close();
+  };
+
+  // 書き込み途中で中止した場合に、書き込み先を破棄する
+  const abort = async () => {
+    await queue;
+    await sink.abort();
+  };
+
+  return { addFile, finish, abort };
+};